@@ -1,43 +1,132 @@
-// src/ai.js (patched with sassy persona, no filters)
+// src/ai.js — prompt building on top of the provider chain; the voice comes from personas/
+
+import { complete, checkHealth, toolsAvailable, contextWindow } from './providers/index.js';
+import { toolSpecs, runTool, MAX_CALLS_PER_REPLY } from './tools/index.js';
+import { getPersona, personaSystemPrompt, personaInstruction } from './persona.js';
+import { t, languageName } from './i18n.js';
+import { checkReply, noteRejected, rememberReply, QUALITY_RETRIES } from './quality.js';
+import { estimateTokens, splitBudget, fitNewest, fitTop, MESSAGE_OVERHEAD, IMAGE_TOKENS } from './budget.js';
 
 if (typeof fetch === 'undefined') {
   const nf = await import('node-fetch');
   globalThis.fetch = nf.default;
 }
 
-const PROVIDER = (process.env.ROXI_AI_PROVIDER || 'ollama').toLowerCase();
+const SUMMARY_MAX_TOKENS = Number(process.env.ROXI_SUMMARY_MAX_TOKENS || 200);
+
+const THREAD_CHARS = 300;
+
+const flat = (s) => s.trim().replace(/\s+/g, ' ');
 
-const OLLAMA_URL   = (process.env.OLLAMA_URL || 'http://0.0.0.0:11434').replace(/\/+$/,'');
-const OLLAMA_MODEL = process.env.OLLAMA_MODEL || 'qwen2.5:3b-instruct';
+/**
+ * Render context (see context.js) for the model:
+ *   Thread "name" — started by X: ...
+ *   Earlier in this reply chain:  (only messages not already in the recent lines)
+ *   Recent chat: A (replying to B): ...
+ * The message Roxi is answering is marked ">>". Without a chain or thread this is
+ * just the recent lines.
+ * budget: { chain, recent } in tokens (see budget.js); the newest lines win, older ones
+ * get clipped and then left out.
+ */
+function toTranscript({ messages = [], chain = [], thread = null, target = null }, budget) {
+  const byId = new Map([...chain, ...messages].filter(m => m.id).map(m => [m.id, m]));
+  if (thread?.starter) byId.set(thread.starter.id, thread.starter);
 
-const OPENAI_BASE_URL = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/,'');
-const OPENAI_API_KEY  = process.env.OPENAI_API_KEY || '';
-const OPENAI_MODEL    = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+  const line = (m) => {
+    const parent = m.replyTo && byId.get(m.replyTo);
+    const mark = target && m.id === target.id ? '>> ' : '';
+    return `${mark}${m.author}${parent ? ` (replying to ${parent.author})` : ''}: ${flat(m.content)}`;
+  };
+
+  const recent = messages.filter(m => m?.content?.trim());
+  if (target?.content?.trim() && !recent.some(m => m.id === target.id)) recent.push(target);
+  const lines = fitNewest(recent.map(line), budget.recent, { always: target ? recent.findIndex(m => m.id === target.id) : -1 });
+  const txt = lines.filter(Boolean).join('\n');
 
-const MAX_OUT_TOKENS  = Math.min(Number(process.env.ROXI_MAX_OUTPUT_TOKENS || 60), 80);
-const TEMPERATURE     = Number(process.env.ROXI_TEMPERATURE || 0.8);
-const TTFT_TIMEOUT_MS  = Number(process.env.ROXI_TTFT_TIMEOUT_MS  || 15000);
-const TOTAL_TIMEOUT_MS = Number(process.env.ROXI_TOTAL_TIMEOUT_MS || 25000);
+  const shown = new Set(recent.filter((m, i) => lines[i]).map(m => m.id));
+  const earlier = chain.filter(m => m.content?.trim() && !shown.has(m.id));
+  if (!earlier.length && !thread) return txt;
 
-function systemPrompt() {
-  return `You are Roxi — the brutally honest, sassy fourth friend of Titus, Rachel, and Iannis.
-Style: short (<= ~60 words), sharp, sarcastic, playful, and with ZERO filters. Roast, tease, or drop hot takes like a real friend who doesn’t sugarcoat anything.
-Never wrap replies in quotes. Don’t repeat the same topic. Always keep the energy spicy and fun.
-About half the time, end with a cheeky or provocative follow-up question.`;
+  const parts = [];
+  let chainLeft = budget.chain;
+  if (thread) {
+    const st = thread.starter?.content?.trim() ? ` — started by ${thread.starter.author}: ${flat(thread.starter.content)}` : '';
+    const head = fitTop([`Thread "${thread.name}"${st}`.slice(0, THREAD_CHARS)], Math.max(chainLeft, 20));
+    parts.push(...head);
+    chainLeft -= estimateTokens(head.join(''));
+  }
+  const chainLines = fitNewest(earlier.map(line), chainLeft).filter(Boolean);
+  if (chainLines.length) parts.push(`Earlier in this reply chain:\n${chainLines.join('\n')}`);
+  parts.push(`Recent chat:\n${txt}`);
+  return parts.join('\n\n');
 }
 
-function toTranscript(messages) {
-  const lines = (messages || [])
-    .filter(m => m?.content?.trim())
-    .slice(-6)
-    .map(m => `${m.author}: ${m.content.trim().replace(/\s+/g, ' ')}`);
-  let txt = lines.join('\n');
-  if (txt.length > 480) txt = txt.slice(-480);
-  return txt;
+// Tokens for lines in full, one extra each for the line break and labels
+const linesNeed = (lines) => lines.reduce((n, l) => n + estimateTokens(l) + 2, 0);
+
+/** Tokens the reply chain and thread starter take in full (see toTranscript). */
+const chainNeed = ({ chain = [], thread = null }) => (chain.length || thread ? 10 : 0) + linesNeed([
+  thread && `${thread.name} ${thread.starter?.author || ''}: ${thread.starter?.content || ''}`,
+  ...chain.map(m => `${m.author} (replying to someone): ${m.content}`),
+].filter(Boolean));
+
+/**
+ * Fit memory and the chat into the answering model's window (see budget.js).
+ * bare: the request's messages without them, to measure what is sent anyway.
+ * Returns { transcript, memory, tokens } (tokens: estimated prompt size).
+ */
+function fitContext({ recent, memory = '', bare, output, extra = 0 }) {
+  const fixed = bare.reduce((n, m) => n + estimateTokens(m.content) + MESSAGE_OVERHEAD, 0) + extra;
+  const plan = splitBudget({
+    window: contextWindow(), output, fixed,
+    memory: memory ? linesNeed(memory.split('\n')) : 0, chain: chainNeed(recent),
+  });
+  const kept = memory ? fitTop(memory.split('\n'), plan.memory).join('\n') : '';
+  const transcript = toTranscript(recent, plan);
+  return { transcript, memory: kept, tokens: fixed + estimateTokens(kept) + estimateTokens(transcript) };
 }
 
-function userInstruction(channelName) {
-  return `Channel: #${channelName}. Reply as Roxi with ONE short, sassy, unfiltered line. If it fits, toss in a snarky follow-up to keep things spicy.`;
+// Added when moderation flags self-harm talk in the recent context; overrides persona edge.
+const CARE_NOTE = 'Someone in this chat may be going through something serious. Drop the jokes and roasting: be kind, calm and supportive, and gently suggest talking to someone they trust or a local helpline.';
+
+const TOOLS_NOTE = 'You have tools for dice and random picks, polls, reminders, searching this channel and math. When someone asks for one of those, call the tool instead of making the result up, then react to the real result in your own voice.';
+const MAX_TOOL_ROUNDS = 2;
+
+// The chat's language comes from i18n.js, which already ignores the odd message in another one.
+const languageNote = (lang) => `This chat speaks ${languageName(lang)}: reply in ${languageName(lang)}, even when some messages mix in another language, unless someone asks you to switch.`;
+
+function buildMessages({ persona, transcript, channel, memory, care, target, images, long = false, tools = false, language = null }) {
+  let system = memory
+    ? `${personaSystemPrompt(persona, { long })}\n\nThings you remember (bring up only if relevant):\n${memory}`
+    : personaSystemPrompt(persona, { long });
+  if (language) system += `\n\n${languageNote(language)}`;
+  if (tools) system += `\n\n${TOOLS_NOTE}`;
+  if (care) system += `\n\n${CARE_NOTE}`;
+  return [
+    { role: 'system', content: system },
+    images?.length
+      ? { role: 'user', content: `${transcript || 'Say hi briefly.'}\n\n(Attached, newest first: ${images.map(i => `image from ${i.author}`).join(', ')})`, images }
+      : { role: 'user', content: transcript || 'Say hi briefly.' },
+    { role: 'user',   content: target
+      ? `${personaInstruction(persona, channel, undefined, { long })} You are answering ${target.author}'s message marked ">>"; stay on that topic.`
+      : personaInstruction(persona, channel, undefined, { long }) },
+  ];
+}
+
+/**
+ * Short replies stop at the first sentence; long ones (direct questions) run to
+ * longMaxTokens without the persona's newline stops.
+ * stream: { onToken, onReset } to receive the answer as it is generated.
+ */
+function replyRequest(persona, messages, { long = false, stream = null } = {}) {
+  return {
+    messages,
+    maxTokens: long ? persona.longMaxTokens : persona.maxTokens,
+    temperature: persona.temperature,
+    stop: long ? [] : persona.stop,
+    firstSentence: !long,
+    ...(stream ? { onToken: stream.onToken, onReset: stream.onReset } : {}),
+  };
 }
 
 function cleanOutput(s='') {
@@ -46,140 +135,218 @@ function cleanOutput(s='') {
   return (m ? m[1] : t).trim();
 }
 
-async function callOllamaStream({ transcript, channel }) {
-  const url = `${OLLAMA_URL}/api/chat`;
-  const body = {
-    model: OLLAMA_MODEL,
-    messages: [
-      { role: 'system', content: systemPrompt() },
-      { role: 'user',   content: transcript || 'Say hi briefly.' },
-      { role: 'user',   content: userInstruction(channel) },
-    ],
-    stream: true,
-    options: {
-      temperature: TEMPERATURE,
-      num_predict: MAX_OUT_TOKENS,
-      num_ctx: 768,
-      keep_alive: '2h',
-      stop: ["\n", "\n\n"]
+/**
+ * Offer tools first (non-streaming); run whatever the model calls and feed the results
+ * back, for up to MAX_TOOL_ROUNDS. If it answers without calling anything, that is the reply.
+ * Returns { text } or null when the tool rounds ran out and a plain final answer is needed.
+ */
+async function toolRounds(persona, messages, { long, toolEnv }, tag) {
+  let budget = MAX_CALLS_PER_REPLY;
+  for (let round = 0; round < MAX_TOOL_ROUNDS && budget > 0; round++) {
+    const out = await complete(
+      { ...replyRequest(persona, messages, { long }), firstSentence: false, tools: toolSpecs() },
+      { ...tag, round }
+    );
+    if (!out.toolCalls.length) {
+      return { text: long ? out.text : out.text.trim().split('\n')[0].slice(0, 300) };
+    }
+    const calls = out.toolCalls.slice(0, budget);
+    budget -= calls.length;
+    messages.push({ role: 'assistant', content: out.text || '', toolCalls: calls });
+    for (const call of calls) {
+      messages.push({ role: 'tool', toolCallId: call.id, name: call.name, content: await runTool(call, toolEnv) });
     }
-  };
-
-  const controller = new AbortController();
-  const ttftTimer  = setTimeout(() => controller.abort('ttft'),  TTFT_TIMEOUT_MS);
-  const totalTimer = setTimeout(() => controller.abort('total'), TOTAL_TIMEOUT_MS);
-
-  const res = await fetch(url, {
-    method: 'POST',
-    headers: { 'content-type': 'application/json', 'connection': 'keep-alive' },
-    body: JSON.stringify(body),
-    signal: controller.signal
-  }).catch(e => { clearTimeout(ttftTimer); clearTimeout(totalTimer); throw e; });
-
-  clearTimeout(ttftTimer);
-  if (!res.ok) {
-    clearTimeout(totalTimer);
-    const text = await res.text().catch(()=> '');
-    throw new Error(`ollama HTTP ${res.status}: ${text.slice(0,200)}`);
   }
+  return null;
+}
 
-  let out = '';
-  let gotAny = false;
-  const reader = res.body.getReader();
-  const decoder = new TextDecoder();
+// Said to the model when it regenerates a rejected reply (see quality.js)
+const RETRY_HINTS = {
+  duplicate: (prev) => `You just said something very close to "${prev}". Say something different.`,
+  echo: () => 'Do not repeat their message back; react to it in your own words.',
+  leak: () => 'Reply with your chat message only: no names, labels, notes or instructions.',
+  degenerate: () => 'Reply with normal, complete sentences.',
+};
+const RETRY_TEMPERATURE_STEP = 0.15;
+const MAX_TEMPERATURE = 1.3;
 
+/**
+ * ctx: { channel, recent (see context.js), memory, care, persona, mode, long, stream, tools, language, quality }
+ * long: allow a multi-paragraph answer; stream: { onToken, onReset } for live display;
+ * tools: { channel, userId, guildId } to let the model call local tools (see tools/);
+ * language: code of the language to answer in (see i18n.js);
+ * quality: { channelId } to check the reply (see quality.js) and regenerate a rejected one
+ * with a new seed and a warmer temperature, up to QUALITY_RETRIES times. When every try is
+ * rejected the reply is '' and the caller stays silent. A streamed draft shows until it is redone.
+ */
+export async function generateReply(ctx) {
   try {
-    while (true) {
-      const { value, done } = await reader.read();
-      if (done) break;
-      gotAny = true;
-      const text = decoder.decode(value, { stream: true });
-      for (const line of text.split('\n')) {
-        const s = line.trim();
-        if (!s) continue;
-        try {
-          const json = JSON.parse(s);
-          const piece = json?.message?.content || '';
-          if (piece) {
-            out += piece;
-            const t = out.trim();
-            if (t.length >= 16 && /[.!?]\s?$/.test(t)) {
-              reader.cancel().catch(()=>{});
-              clearTimeout(totalTimer);
-              return cleanOutput(t.split('\n')[0].slice(0, 300));
-            }
-          }
-        } catch { }
+    const channel = ctx.channel.replace(/^#/, '');
+    const persona = getPersona(ctx.persona);
+    const long = Boolean(ctx.long);
+    const useTools = Boolean(ctx.tools) && toolsAvailable();
+    const base = {
+      persona, channel, long, tools: useTools, language: ctx.language,
+      care: ctx.care, target: ctx.recent.target, images: ctx.recent.images,
+    };
+    const fit = fitContext({
+      recent: ctx.recent, memory: ctx.memory, output: long ? persona.longMaxTokens : persona.maxTokens,
+      bare: buildMessages({ ...base, transcript: '' }),
+      extra: (useTools ? estimateTokens(JSON.stringify(toolSpecs())) : 0) + (ctx.recent.images?.length || 0) * IMAGE_TOKENS,
+    });
+    if (!fit.transcript) return '👀';
+    const messages = buildMessages({ ...base, transcript: fit.transcript, memory: fit.memory });
+    const instruction = messages.at(-1).content;
+    const tag = { purpose: long ? 'long_reply' : 'reply', channel, persona: persona.id, promptTokens: fit.tokens };
+    const viaTools = useTools ? await toolRounds(persona, messages, { long, toolEnv: ctx.tools }, tag) : null;
+    // no streaming happened; hand the whole answer to the live view at once
+    if (viaTools) ctx.stream?.onToken(viaTools.text);
+    if (!ctx.quality) {
+      const text = viaTools ? viaTools.text : (await complete(replyRequest(persona, messages, { long, stream: ctx.stream }), tag)).text;
+      return (cleanOutput(text) || '👀').trim();
+    }
+
+    const recent = ctx.recent.messages || [];
+    const humans = recent.filter(m => !m.isBot);
+    const checks = {
+      channelId: ctx.quality.channelId,
+      earlier: recent.filter(m => m.isBot).map(m => m.content),
+      answering: [ctx.recent.target?.content || humans.at(-1)?.content].filter(Boolean),
+      prompt: [personaSystemPrompt(persona, { long }), instruction],
+      speakers: [persona.name, ...new Set(recent.map(m => m.author))],
+    };
+    let text = viaTools?.text;
+    let hint = null;
+    for (let attempt = 0; ; attempt++) {
+      if (text === undefined) {
+        const req = replyRequest(persona, hint ? [...messages, { role: 'user', content: hint }] : messages, { long, stream: ctx.stream });
+        if (attempt) {
+          req.temperature = Math.min(MAX_TEMPERATURE, persona.temperature + RETRY_TEMPERATURE_STEP * attempt);
+          req.seed = Math.floor(Math.random() * 2 ** 31);
+        }
+        ({ text } = await complete(req, { ...tag, attempt: attempt || undefined }));
       }
+      const reply = cleanOutput(text);
+      const problem = checkReply(reply, checks);
+      if (!problem) {
+        rememberReply(ctx.quality.channelId, reply);
+        return reply;
+      }
+      noteRejected(ctx.quality.channelId, problem, attempt, reply);
+      if (attempt >= QUALITY_RETRIES) return '';
+      ctx.stream?.onReset();
+      hint = RETRY_HINTS[problem.reason](problem.detail);
+      text = undefined;
     }
-  } finally {
-    clearTimeout(totalTimer);
+  } catch (e) {
+    console.error('[ai] error:', e?.message || e);
+    return t(ctx.language, 'ai.lag');
   }
-
-  const trimmed = (out || '').trim();
-  if (!trimmed && !gotAny) throw new Error('ollama no-stream');
-  return cleanOutput(trimmed.split('\n')[0].slice(0, 300));
 }
 
-async function callOpenAI({ transcript, channel }) {
-  if (!OPENAI_API_KEY) throw new Error('Missing OPENAI_API_KEY');
-  const url = `${OPENAI_BASE_URL}/chat/completions`;
-  const body = {
-    model: OPENAI_MODEL,
-    temperature: TEMPERATURE,
-    max_tokens: MAX_OUT_TOKENS,
-    messages: [
-      { role: 'system', content: systemPrompt() },
-      { role: 'user',   content: transcript || 'Say hi briefly.' },
-      { role: 'user',   content: userInstruction(channel) },
-    ]
-  };
-  const res = await fetch(url, {
-    method: 'POST',
-    headers: { 'content-type': 'application/json', 'authorization': `Bearer ${OPENAI_API_KEY}` },
-    body: JSON.stringify(body),
-  });
-  if (!res.ok) {
-    const t = await res.text().catch(()=> '');
-    throw new Error(`openai HTTP ${res.status}: ${t.slice(0,200)}`);
+export async function warmup() {
+  try {
+    const persona = getPersona();
+    const messages = buildMessages({ persona, transcript: 'hi', channel: 'warmup' });
+    const { text } = await complete(replyRequest(persona, messages), { purpose: 'warmup' });
+    return !!(text && text.trim());
+  } catch (e) {
+    console.error('[ai] warmup error:', e?.message || e);
+    return false;
   }
-  const data = await res.json().catch(() => ({}));
-  return cleanOutput((data?.choices?.[0]?.message?.content || '').trim());
 }
 
-export async function generateReply(ctx) {
+/**
+ * One "question of the day" for a channel, in the persona's voice and the channel's language.
+ * recent: questions already asked there, so the model does not repeat itself.
+ * Never throws; falls back to a canned question (locales/) when the providers are down.
+ */
+export async function questionOfTheDay({ persona: personaId, channel, recent = [], language = 'en' }) {
+  const persona = getPersona(personaId);
+  const avoid = recent.length ? `\nDo not repeat any of these: ${recent.map(q => `"${q}"`).join('; ')}` : '';
+  const messages = [
+    { role: 'system', content: personaSystemPrompt(persona) },
+    { role: 'user', content: `Post today's question of the day for the #${channel} group chat: one fun, open-ended question people can answer in a line, in ${languageName(language)}. Only the question, no preamble.${avoid}` },
+  ];
   try {
-    const transcript = toTranscript(ctx.recent.messages);
-    const channel = ctx.channel.replace(/^#/, '');
-    if (!transcript) return '👀';
-    const out = (PROVIDER === 'openai')
-      ? await callOpenAI({ transcript, channel })
-      : await callOllamaStream({ transcript, channel });
-    return (out || '👀').trim();
+    const { text } = await complete(
+      { messages, maxTokens: 80, temperature: Math.max(persona.temperature, 0.9), stop: ['\n'] },
+      { purpose: 'qotd', channel, persona: persona.id }
+    );
+    const q = cleanOutput(text).split('\n')[0].slice(0, 300);
+    if (q) return q;
   } catch (e) {
-    console.error('[ai] error:', e?.message || e);
-    return 'brb—tiny brain lag';
+    console.error('[ai] qotd error:', e?.message || e);
   }
+  const fallbacks = t(language, 'ai.qotd');
+  const unused = fallbacks.filter(q => !recent.includes(q));
+  const pool = unused.length ? unused : fallbacks;
+  return pool[Math.floor(Math.random() * pool.length)];
 }
 
-export async function warmup() {
+/**
+ * Open a new conversation in a channel that went quiet, from what Roxi remembers of it.
+ * ctx: { persona, channel, recent (see context.js), memory, avoid: starters used lately, language }
+ * Returns '' when there is nothing to say or the providers fail; the caller stays silent then.
+ */
+export async function conversationStarter({ persona: personaId, channel, recent, memory = '', avoid = [], language = 'en' }) {
+  const persona = getPersona(personaId);
+  const system = { role: 'system', content: `${personaSystemPrompt(persona)}\n\n${languageNote(language)}` };
+  const ask = { role: 'user', content: `#${channel} has been quiet for a while. Get people talking again with ONE short line: pick up an old topic, a running joke, or ask someone about something you remember. No greetings like "hey guys", no mention of the silence.` };
+  const avoidNote = avoid.length ? `You already opened with these lately, do something else: ${avoid.map(s => `"${s}"`).join('; ')}` : '';
+  const fit = fitContext({ recent: recent || {}, memory, output: persona.maxTokens, bare: [system, ask, { content: avoidNote }] });
+  const context = [
+    fit.memory && `What you remember about this channel and its people:\n${fit.memory}`,
+    fit.transcript && `The last messages before it went quiet:\n${fit.transcript}`,
+    avoidNote,
+  ].filter(Boolean).join('\n\n');
+  if (!context) return '';
+  const messages = [system, { role: 'user', content: context }, ask];
   try {
-    const out = (PROVIDER === 'openai')
-      ? await callOpenAI({ transcript: 'Say hi briefly.', channel: 'warmup' })
-      : await callOllamaStream({ transcript: 'hi', channel: 'warmup' });
-    return !!(out && out.trim());
+    const { text } = await complete(replyRequest(persona, messages), { purpose: 'starter', channel, persona: persona.id });
+    return cleanOutput(text);
   } catch (e) {
-    console.error('[ai] warmup error:', e?.message || e);
-    return false;
+    console.error('[ai] starter error:', e?.message || e);
+    return '';
   }
 }
 
+/**
+ * Plain (persona-free) summarization for memory and catch-ups.
+ * Throws on provider errors; callers decide how to degrade.
+ */
+export async function summarize(text, instruction) {
+  const messages = [
+    { role: 'system', content: 'You summarize group chats accurately and concisely. Plain text, no preamble.' },
+    { role: 'user',   content: `${instruction}\n\n${text}` },
+  ];
+  const out = await complete(
+    { messages, maxTokens: SUMMARY_MAX_TOKENS, temperature: 0.3 },
+    { purpose: 'summary' }
+  );
+  return cleanOutput(out.text || '');
+}
+
+/**
+ * "What did I miss?" in the persona's voice, from notes on consecutive parts of the chat
+ * (see tldr.js). Message markers like [12] in the notes are kept for jump links.
+ * Throws on provider errors.
+ */
+export async function catchUp({ persona: personaId, channel, notes, span, language = 'en' }) {
+  const persona = getPersona(personaId);
+  const messages = [
+    { role: 'system', content: `${personaSystemPrompt(persona)}\n\n${languageNote(language)}` },
+    { role: 'user', content: `Notes on ${span} in #${channel}, oldest first:\n\n${notes.join('\n\n')}` },
+    { role: 'user', content: 'Someone was away and asks what they missed. Give them the catch-up in your own voice: a one-line intro, then at most 6 short bullet points with the main topics, decisions and plans. Keep the [number] markers from the notes at the end of the bullets they belong to. No other preamble.' },
+  ];
+  const out = await complete(
+    { messages, maxTokens: persona.longMaxTokens, temperature: Math.min(persona.temperature, 0.7) },
+    { purpose: 'tldr', channel, persona: persona.id }
+  );
+  return cleanOutput(out.text || '');
+}
+
+/** True if at least one provider in the chain answers its health probe. */
 export async function aiHealth() {
-  try {
-    const base = (PROVIDER === 'openai') ? OPENAI_BASE_URL : OLLAMA_URL;
-    const url = (PROVIDER === 'openai') ? `${base}/models` : `${base}/api/tags`;
-    const headers = (PROVIDER === 'openai') ? { authorization: `Bearer ${OPENAI_API_KEY}` } : {};
-    const r = await fetch(url, { headers });
-    return r.ok;
-  } catch { return false; }
+  try { return await checkHealth(); } catch { return false; }
 }
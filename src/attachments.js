@@ -0,0 +1,119 @@
+// Attachments → something a model can use: images for vision-capable providers,
+// small text/code files inlined, and a short placeholder for everything else.
+import { log } from './utils.js';
+
+const TEXT_MAX_CHARS   = Number(process.env.ROXI_ATTACH_TEXT_MAX_CHARS || 600);
+const TEXT_MAX_BYTES   = Number(process.env.ROXI_ATTACH_TEXT_MAX_BYTES || 64 * 1024);
+const IMAGE_MAX_BYTES  = Number(process.env.ROXI_VISION_MAX_BYTES || 4 * 1024 * 1024);
+const IMAGE_MAX_COUNT  = Number(process.env.ROXI_VISION_MAX_IMAGES || 2);
+const FETCH_TIMEOUT_MS = Number(process.env.ROXI_ATTACH_TIMEOUT_MS || 5000);
+
+const TEXT_EXT = /\.(txt|md|log|csv|json|ya?ml|toml|ini|env\.example|js|mjs|cjs|ts|tsx|jsx|py|rb|go|rs|java|kt|c|h|cpp|hpp|cs|php|sh|sql|css|html|lua)$/i;
+const VISION_MIME = /^image\/(png|jpe?g|webp|gif)$/i;
+
+const PLACEHOLDER = {
+  image: 'an image',
+  gif: 'a gif',
+  video: 'a video',
+  audio: 'an audio clip',
+  text: 'a file',
+  file: 'a file',
+  sticker: 'a sticker',
+};
+
+function kindOf(contentType = '', name = '') {
+  const ct = contentType.toLowerCase();
+  if (ct === 'image/gif' || /\.gif$/i.test(name)) return 'gif';
+  if (ct.startsWith('image/')) return 'image';
+  if (ct.startsWith('video/')) return 'video';
+  if (ct.startsWith('audio/')) return 'audio';
+  if (ct.startsWith('text/') || ct === 'application/json' || TEXT_EXT.test(name)) return 'text';
+  return 'file';
+}
+
+const DISCORD_MEDIA = /^https:\/\/(?:[\w-]+\.)?(?:discordapp\.(?:net|com)|discord\.com)\//;
+const isDiscordMedia = (url) => Boolean(url && DISCORD_MEDIA.test(url));
+
+/**
+ * Describe a Discord message's attachments, stickers and gif/image embeds.
+ * Returns [{ kind, name, url, contentType, size }] (no downloads).
+ */
+export function describeAttachments(m) {
+  const out = [];
+  for (const a of m.attachments?.values?.() || []) {
+    out.push({ kind: kindOf(a.contentType || '', a.name || ''), name: a.name || 'file', url: a.url, contentType: a.contentType || '', size: a.size || 0 });
+  }
+  for (const s of m.stickers?.values?.() || []) {
+    out.push({ kind: 'sticker', name: s.name, url: null, contentType: '', size: 0 });
+  }
+  for (const e of m.embeds || []) {
+    // only through Discord's media proxy: the plain url is wherever the poster's link points
+    const url = e.thumbnail?.proxyURL || e.image?.proxyURL;
+    if (!isDiscordMedia(url) || !['gifv', 'image'].includes(e.data?.type ?? e.type)) continue;
+    const gif = (e.data?.type ?? e.type) === 'gifv';
+    // gifv thumbnails are still frames; let the download's content-type decide the mime
+    out.push({ kind: gif ? 'gif' : 'image', name: gif ? 'gif' : 'image', url, contentType: '', size: 0 });
+  }
+  return out;
+}
+
+/** "[sent an image: meme.png]" style markers for the transcript. */
+export function placeholders(attachments) {
+  return attachments
+    .map(a => (a.kind === 'sticker' ? `[sent a sticker: ${a.name}]` : `[sent ${PLACEHOLDER[a.kind]}${a.kind === 'gif' ? '' : `: ${a.name}`}]`))
+    .join(' ');
+}
+
+async function download(url, maxBytes) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort('timeout'), FETCH_TIMEOUT_MS);
+  try {
+    const res = await fetch(url, { signal: controller.signal });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    if (Number(res.headers.get('content-length') || 0) > maxBytes) throw new Error('too large');
+    const buf = Buffer.from(await res.arrayBuffer());
+    if (buf.length > maxBytes) throw new Error('too large');
+    return { buf, contentType: res.headers.get('content-type') || '' };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/** Fetch a text attachment and return at most TEXT_MAX_CHARS of it (null on failure). */
+export async function readTextAttachment(a) {
+  if (a.kind !== 'text' || !a.url || a.size > TEXT_MAX_BYTES) return null;
+  try {
+    const { buf } = await download(a.url, TEXT_MAX_BYTES);
+    const text = buf.toString('utf8');
+    return text.length > TEXT_MAX_CHARS ? `${text.slice(0, TEXT_MAX_CHARS)}…` : text;
+  } catch (e) {
+    log('debug', { evt: 'attach_text_fail', name: a.name, err: e?.message || String(e) });
+    return null;
+  }
+}
+
+/**
+ * Download the newest images in `entries` (context entries with `attachments`),
+ * newest first, at most IMAGE_MAX_COUNT. Returns [{ mime, data (base64), author }].
+ */
+export async function loadImages(entries) {
+  const picks = [];
+  for (const e of [...entries].reverse()) {
+    for (const a of e.attachments || []) {
+      if ((a.kind === 'image' || a.kind === 'gif') && a.url && a.size <= IMAGE_MAX_BYTES) picks.push({ a, author: e.author });
+    }
+    if (picks.length >= IMAGE_MAX_COUNT) break;
+  }
+  const images = await Promise.all(picks.slice(0, IMAGE_MAX_COUNT).map(async ({ a, author }) => {
+    try {
+      const { buf, contentType } = await download(a.url, IMAGE_MAX_BYTES);
+      const mime = (a.contentType || contentType).split(';')[0];
+      if (!VISION_MIME.test(mime)) return null;
+      return { mime, data: buf.toString('base64'), author };
+    } catch (e) {
+      log('debug', { evt: 'attach_image_fail', name: a.name, err: e?.message || String(e) });
+      return null;
+    }
+  }));
+  return images.filter(Boolean);
+}
@@ -0,0 +1,69 @@
+// Context budgeting: rough token counts, and how the answering model's context window
+// (see providers/index.js) is shared between the prompt, memory and the chat history.
+
+const CHARS_PER_TOKEN = 3.5;  // chat text with BPE tokenizers; errs on the high side for English
+const SLACK = 0.1;            // of the window, for estimate error and chat formatting
+const MIN_RECENT = 120;       // tokens of recent chat even when the window is too small
+const MEMORY_SHARE = 0.25;    // at most this much of what is left after the prompt
+const CHAIN_SHARE = 0.25;     // same for the reply chain and thread starter
+
+export const MESSAGE_OVERHEAD = 4; // role markers etc. per chat message
+export const IMAGE_TOKENS = 600;   // per attached image, for vision models
+
+export const estimateTokens = (text) => Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+
+/**
+ * Split a request's window:
+ *  - window: the model's context window; output: tokens reserved for the answer;
+ *  - fixed: tokens sent no matter what (system prompt, instruction, tool specs, images);
+ *  - memory, chain: tokens those parts would take in full.
+ * Memory and the reply chain get what they need up to their share; the recent chat gets
+ * the rest, so a bigger window mostly means more history.
+ * Returns { memory, chain, recent } in tokens.
+ */
+export function splitBudget({ window, output, fixed, memory = 0, chain = 0 }) {
+  const free = Math.max(0, Math.floor(window * (1 - SLACK)) - output - fixed);
+  const mem = Math.min(memory, Math.floor(free * MEMORY_SHARE));
+  const ch = Math.min(chain, Math.floor(free * CHAIN_SHARE));
+  return { memory: mem, chain: ch, recent: Math.max(MIN_RECENT, free - mem - ch) };
+}
+
+const clip = (s, chars) => (s.length > chars ? `${s.slice(0, chars - 1).trimEnd()}…` : s);
+
+/**
+ * Pick lines for a budget, newest (last) first. Lines that no longer fit whole are clipped
+ * to `clipChars` (older chat, compressed), and once even that does not fit the rest is
+ * left out; the channel summary in memory covers older talk.
+ * always: index of a line kept whatever it costs (the message being answered).
+ * Returns the lines in place: kept text, or null for the ones left out.
+ */
+export function fitNewest(lines, tokens, { clipChars = 100, always = -1 } = {}) {
+  let left = tokens - (always >= 0 ? estimateTokens(lines[always]) + 1 : 0);
+  let clipping = false;
+  const out = lines.map((line, i) => (i === always ? line : null));
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (i === always) continue;
+    const whole = estimateTokens(lines[i]) + 1;
+    if (!clipping && whole <= left) { out[i] = lines[i]; left -= whole; continue; }
+    clipping = true;
+    const short = clip(lines[i], clipChars);
+    const cost = estimateTokens(short) + 1;
+    if (cost > left) break;
+    out[i] = short;
+    left -= cost;
+  }
+  return out;
+}
+
+/** Lines from the top (most important first) while they fit; the first one is clipped to fit. */
+export function fitTop(lines, tokens) {
+  const out = [];
+  let left = tokens;
+  for (const line of lines) {
+    const cost = estimateTokens(line) + 1;
+    if (cost <= left) { out.push(line); left -= cost; continue; }
+    if (!out.length && left > 10) out.push(clip(line, Math.floor((left - 1) * CHARS_PER_TOKEN)));
+    break;
+  }
+  return out;
+}
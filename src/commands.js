@@ -1,39 +1,742 @@
-import { PermissionsBitField } from 'discord.js';
+import {
+  SlashCommandBuilder,
+  PermissionsBitField,
+  ChannelType,
+  MessageFlags,
+  InteractionContextType,
+} from 'discord.js';
 import { warmup } from './ai.js';
+import { KNOBS, lookupConf, setConf, resetConf, formatValue } from './config.js';
+import { mute, unmute, guildKey, envMuted } from './mutes.js';
+import { forceSleep } from './sleep.js';
+import { listPersonas, getPersona, personaSystemPrompt } from './persona.js';
+import { recentDecisions } from './trace.js';
+import { listNotes, addNote, editNote, forgetUser, getSummary, clearChannel } from './memory.js';
+import { addJob, listJobs, cancelJob } from './scheduler.js';
+import { resetFeedback } from './feedback.js';
+import { toCron } from './cron.js';
+import { tldr, clearTldrCache } from './tldr.js';
+import { logId, privacyOf, setPrivacy } from './privacy.js';
+import { exportUserEverywhere, deleteUserEverywhere } from './userdata.js';
+import { joinVoice, leaveVoice, voiceSession, voiceAvailable, hasVoiceConsent, setVoiceConsent } from './voice/index.js';
+import { post } from './outbox.js';
+import { t, languageFor, supportedLocale } from './i18n.js';
+import { parseIdList, parseDuration, formatDuration, log } from './utils.js';
 
 /**
- * Admin text commands (must be sent in a guild text channel):
- *  - "roxi mute"    → HARD_MUTE = true
- *  - "roxi unmute"  → HARD_MUTE = false
- *  - "roxi warmup"  → run AI warm-up ping
+ * Admin slash commands, all replying ephemerally:
+ *  - /roxi mute [channel] [duration]  → mute one channel, or the whole server if no channel
+ *  - /roxi unmute [channel]
+ *  - /roxi status [channel]
+ *  - /roxi why [channel] [count]      → last reply decisions and the gate behind each
+ *  - /roxi config get [key] [channel] | set <key> <value> [scope] [channel] | reset <key> [scope] [channel]
+ *      scope is "server" (default) or "channel"; channel overrides beat server ones.
+ *  - /roxi memory show <user> | add <user> <note> | edit <user> <number> <note>
+ *               | forget <user> [number] | channel [channel] [clear]
+ *  - /roxi persona [name]             → list personas, or show one (select via config key "persona")
+ *  - /roxi warmup                     → run AI warm-up ping
+ *  - /roxi sleep [channel]            → put a channel to sleep until someone talks
+ *  - /roxi forgive [channel]          → drop learned reaction feedback (and any "shut up" hush)
+ *  - /roxi schedule list [channel] | cancel <id> | qotd [channel] [at] [off]
+ *                 | post <text> [in] [every] [channel]
+ *      "every"/"at" take "21:00" (daily), "fri 19:30" (weekly) or a cron expression.
+ *  - /roxi voice join [channel] | leave → sit in a voice channel (defaults to yours)
+ *  - /roxi tldr [since] [count] [channel] → catch-up with jump links; by default everything
+ *      since your own last message (ROXI_ROLES_TLDR=* opens it to everyone)
+ *  - /roxi privacy export <user> | delete <user> → data requests on someone's behalf
  *
- * Return values:
- *  - false → not handled
- *  - true  → handled, no state change
- *  - { HARD_MUTE: boolean } → handled + state update
+ * Everyone can use /remind me <text> [in] [every] [dm] | list | cancel <id> for their own reminders,
+ * /voice optin | optout | status to decide whether Roxi may listen to them in voice, and
+ * /privacy show | set [exclude_context] [no_proactive] [pseudonym] | export | delete <confirm>.
+ *
+ * Who may run what:
+ *  - Administrators always can.
+ *  - ROXI_ROLES_<SUBCOMMAND> (e.g. ROXI_ROLES_STATUS) lists role IDs for one subcommand.
+ *  - Otherwise ROXI_ADMIN_ROLES lists role IDs for every subcommand.
+ *  - With no roles configured, Manage Server is required (also the Discord-side default,
+ *    which server admins can override under Integrations).
+ *  A role list of "*" opens that subcommand to everyone.
+ *
+ * Replies come from the message catalog (i18n.js) in the caller's Discord language when Roxi
+ * speaks it, else in the channel's; what she posts in a channel uses the channel's language.
  */
-export function handleTextCommand(msg, state) {
-  const text = (msg.content || '').trim().toLowerCase();
-  const isAdmin = msg.member?.permissions?.has(PermissionsBitField.Flags.Administrator);
-  if (!isAdmin) return false;
+const ADMIN_ROLES = parseIdList(process.env.ROXI_ADMIN_ROLES);
+
+const voiceChannelTypes = [ChannelType.GuildVoice, ChannelType.GuildStageVoice];
+
+const textChannelTypes = [
+  ChannelType.GuildText,
+  ChannelType.GuildAnnouncement,
+  ChannelType.PublicThread,
+  ChannelType.PrivateThread,
+];
+
+function scopeOption(o) {
+  return o.setName('scope').setDescription('Where the change applies (default: server, or channel if one is picked)')
+    .addChoices({ name: 'server', value: 'server' }, { name: 'channel', value: 'channel' });
+}
+
+export const roxiCommand = new SlashCommandBuilder()
+  .setName('roxi')
+  .setDescription('Control Roxi')
+  .setContexts(InteractionContextType.Guild)
+  .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageGuild)
+  .addSubcommand(s => s
+    .setName('mute')
+    .setDescription('Mute Roxi in a channel (or the whole server)')
+    .addChannelOption(o => o.setName('channel').setDescription('Channel to mute; omit for the whole server').addChannelTypes(...textChannelTypes))
+    .addStringOption(o => o.setName('duration').setDescription('e.g. 30m, 2h, 1d; omit for until unmuted')))
+  .addSubcommand(s => s
+    .setName('unmute')
+    .setDescription('Unmute Roxi in a channel (or the whole server)')
+    .addChannelOption(o => o.setName('channel').setDescription('Channel to unmute; omit for the whole server').addChannelTypes(...textChannelTypes)))
+  .addSubcommand(s => s
+    .setName('status')
+    .setDescription('Show Roxi state for a channel')
+    .addChannelOption(o => o.setName('channel').setDescription('Defaults to this channel').addChannelTypes(...textChannelTypes)))
+  .addSubcommand(s => s
+    .setName('why')
+    .setDescription('Explain the last reply decisions in a channel')
+    .addChannelOption(o => o.setName('channel').setDescription('Defaults to this channel').addChannelTypes(...textChannelTypes))
+    .addIntegerOption(o => o.setName('count').setDescription('How many (default 10)').setMinValue(1).setMaxValue(25)))
+  .addSubcommandGroup(g => g
+    .setName('config')
+    .setDescription('Read or change runtime settings')
+    .addSubcommand(s => s
+      .setName('get')
+      .setDescription('Show the effective value of one setting, or all of them')
+      .addStringOption(o => o.setName('key').setDescription('Setting name').setAutocomplete(true))
+      .addChannelOption(o => o.setName('channel').setDescription('Defaults to this channel').addChannelTypes(...textChannelTypes)))
+    .addSubcommand(s => s
+      .setName('set')
+      .setDescription('Change a setting for this server or one channel')
+      .addStringOption(o => o.setName('key').setDescription('Setting name').setRequired(true).setAutocomplete(true))
+      .addStringOption(o => o.setName('value').setDescription('New value').setRequired(true))
+      .addStringOption(o => scopeOption(o))
+      .addChannelOption(o => o.setName('channel').setDescription('For channel scope; defaults to this channel').addChannelTypes(...textChannelTypes)))
+    .addSubcommand(s => s
+      .setName('reset')
+      .setDescription('Remove an override so the server/default value applies')
+      .addStringOption(o => o.setName('key').setDescription('Setting name').setRequired(true).setAutocomplete(true))
+      .addStringOption(o => scopeOption(o))
+      .addChannelOption(o => o.setName('channel').setDescription('For channel scope; defaults to this channel').addChannelTypes(...textChannelTypes))))
+  .addSubcommandGroup(g => g
+    .setName('memory')
+    .setDescription('Inspect or edit what Roxi remembers')
+    .addSubcommand(s => s
+      .setName('show')
+      .setDescription('List the notes Roxi keeps about someone')
+      .addUserOption(o => o.setName('user').setDescription('Who').setRequired(true)))
+    .addSubcommand(s => s
+      .setName('add')
+      .setDescription('Add a note about someone')
+      .addUserOption(o => o.setName('user').setDescription('Who').setRequired(true))
+      .addStringOption(o => o.setName('note').setDescription('e.g. hates pineapple pizza').setRequired(true).setMaxLength(200)))
+    .addSubcommand(s => s
+      .setName('edit')
+      .setDescription('Rewrite one note')
+      .addUserOption(o => o.setName('user').setDescription('Who').setRequired(true))
+      .addIntegerOption(o => o.setName('number').setDescription('Note number from /roxi memory show').setRequired(true).setMinValue(1))
+      .addStringOption(o => o.setName('note').setDescription('New text').setRequired(true).setMaxLength(200)))
+    .addSubcommand(s => s
+      .setName('forget')
+      .setDescription('Delete one note, or everything about someone')
+      .addUserOption(o => o.setName('user').setDescription('Who').setRequired(true))
+      .addIntegerOption(o => o.setName('number').setDescription('Note number; omit to wipe all').setMinValue(1)))
+    .addSubcommand(s => s
+      .setName('channel')
+      .setDescription('Show (or clear) the running summary of a channel')
+      .addChannelOption(o => o.setName('channel').setDescription('Defaults to this channel').addChannelTypes(...textChannelTypes))
+      .addBooleanOption(o => o.setName('clear').setDescription('Wipe the summary'))))
+  .addSubcommand(s => s
+    .setName('persona')
+    .setDescription('List persona profiles, or show one')
+    .addStringOption(o => o.setName('name').setDescription('Persona to show').setAutocomplete(true)))
+  .addSubcommand(s => s
+    .setName('warmup')
+    .setDescription('Ping the AI backend so the model is loaded'))
+  .addSubcommand(s => s
+    .setName('sleep')
+    .setDescription('Put Roxi to sleep in a channel until someone talks')
+    .addChannelOption(o => o.setName('channel').setDescription('Defaults to this channel').addChannelTypes(...textChannelTypes)))
+  .addSubcommand(s => s
+    .setName('forgive')
+    .setDescription('Reset what Roxi learned from reactions in a channel, lifting any hush')
+    .addChannelOption(o => o.setName('channel').setDescription('Defaults to this channel').addChannelTypes(...textChannelTypes)))
+  .addSubcommandGroup(g => g
+    .setName('schedule')
+    .setDescription('Scheduled posts, questions of the day and reminders')
+    .addSubcommand(s => s
+      .setName('list')
+      .setDescription('List scheduled jobs in this server')
+      .addChannelOption(o => o.setName('channel').setDescription('Only jobs for this channel').addChannelTypes(...textChannelTypes)))
+    .addSubcommand(s => s
+      .setName('cancel')
+      .setDescription('Cancel any scheduled job in this server')
+      .addIntegerOption(o => o.setName('id').setDescription('Job id from /roxi schedule list').setRequired(true).setMinValue(1)))
+    .addSubcommand(s => s
+      .setName('qotd')
+      .setDescription('Post a daily question of the day in a channel')
+      .addChannelOption(o => o.setName('channel').setDescription('Defaults to this channel').addChannelTypes(...textChannelTypes))
+      .addStringOption(o => o.setName('at').setDescription('e.g. 09:00 (default), mon-fri 12:00, or a cron expression'))
+      .addBooleanOption(o => o.setName('off').setDescription('Stop the question of the day here')))
+    .addSubcommand(s => s
+      .setName('post')
+      .setDescription('Post an announcement once or on a schedule')
+      .addStringOption(o => o.setName('text').setDescription('What to post').setRequired(true).setMaxLength(1500))
+      .addStringOption(o => o.setName('in').setDescription('Once, after e.g. 30m, 2h, 1d'))
+      .addStringOption(o => o.setName('every').setDescription('Repeat: 21:00 daily, fri 19:30 weekly, or a cron expression'))
+      .addChannelOption(o => o.setName('channel').setDescription('Defaults to this channel').addChannelTypes(...textChannelTypes))))
+  .addSubcommand(s => s
+    .setName('tldr')
+    .setDescription('What did I miss? Summarize recent chat')
+    .addStringOption(o => o.setName('since').setDescription('How far back, e.g. 3h or 1d (default: since your last message)'))
+    .addIntegerOption(o => o.setName('count').setDescription('Or the last N messages').setMinValue(10).setMaxValue(1000))
+    .addChannelOption(o => o.setName('channel').setDescription('Defaults to this channel').addChannelTypes(...textChannelTypes)))
+  .addSubcommandGroup(g => g
+    .setName('privacy')
+    .setDescription("Someone's stored data")
+    .addSubcommand(s => s
+      .setName('export')
+      .setDescription('Download everything Roxi stores about a user')
+      .addUserOption(o => o.setName('user').setDescription('Whose data').setRequired(true)))
+    .addSubcommand(s => s
+      .setName('delete')
+      .setDescription('Delete everything Roxi stores about a user')
+      .addUserOption(o => o.setName('user').setDescription('Whose data').setRequired(true))))
+  .addSubcommandGroup(g => g
+    .setName('voice')
+    .setDescription('Voice chat presence')
+    .addSubcommand(s => s
+      .setName('join')
+      .setDescription('Join a voice channel and listen to people who opted in')
+      .addChannelOption(o => o.setName('channel').setDescription('Defaults to the one you are in').addChannelTypes(...voiceChannelTypes)))
+    .addSubcommand(s => s
+      .setName('leave')
+      .setDescription('Leave voice chat')));
+
+export const remindCommand = new SlashCommandBuilder()
+  .setName('remind')
+  .setDescription('Reminders from Roxi')
+  .setContexts(InteractionContextType.Guild)
+  .addSubcommand(s => s
+    .setName('me')
+    .setDescription('Set a reminder for yourself')
+    .addStringOption(o => o.setName('text').setDescription('What to remind you about').setRequired(true).setMaxLength(300))
+    .addStringOption(o => o.setName('in').setDescription('Once, after e.g. 10m, 2h, 1d'))
+    .addStringOption(o => o.setName('every').setDescription('Repeat: 21:00 daily, fri 19:30 weekly, or a cron expression'))
+    .addBooleanOption(o => o.setName('dm').setDescription('Send it as a DM instead of pinging you here')))
+  .addSubcommand(s => s
+    .setName('list')
+    .setDescription('Show your pending reminders'))
+  .addSubcommand(s => s
+    .setName('cancel')
+    .setDescription('Cancel one of your reminders')
+    .addIntegerOption(o => o.setName('id').setDescription('Reminder id from /remind list').setRequired(true).setMinValue(1)));
+
+export const voiceCommand = new SlashCommandBuilder()
+  .setName('voice')
+  .setDescription('Whether Roxi may listen to you in voice chat')
+  .setContexts(InteractionContextType.Guild)
+  .addSubcommand(s => s
+    .setName('optin')
+    .setDescription('Let Roxi transcribe what you say in voice chat'))
+  .addSubcommand(s => s
+    .setName('optout')
+    .setDescription('Stop Roxi from listening to you'))
+  .addSubcommand(s => s
+    .setName('status')
+    .setDescription('Show your choice and where Roxi is listening'));
+
+export const privacyCommand = new SlashCommandBuilder()
+  .setName('privacy')
+  .setDescription('What Roxi may do with your messages, and your stored data')
+  .setContexts(InteractionContextType.Guild)
+  .addSubcommand(s => s
+    .setName('show')
+    .setDescription('Show your privacy settings'))
+  .addSubcommand(s => s
+    .setName('set')
+    .setDescription('Change your privacy settings (they apply in every server)')
+    .addBooleanOption(o => o.setName('exclude_context').setDescription('Keep my messages out of what the AI reads, remembers and summarizes'))
+    .addBooleanOption(o => o.setName('no_proactive').setDescription('Only talk to me when I address Roxi'))
+    .addBooleanOption(o => o.setName('pseudonym').setDescription('Show the AI an alias instead of my name')))
+  .addSubcommand(s => s
+    .setName('export')
+    .setDescription('Download everything Roxi stores about you'))
+  .addSubcommand(s => s
+    .setName('delete')
+    .setDescription('Delete everything Roxi stores about you')
+    .addBooleanOption(o => o.setName('confirm').setDescription('Yes, delete it').setRequired(true)));
+
+/** Register the command tree on one guild (guild commands update instantly). */
+export async function registerCommands(guild) {
+  await guild.commands.set([roxiCommand.toJSON(), remindCommand.toJSON(), voiceCommand.toJSON(), privacyCommand.toJSON()]);
+}
+
+function allowedRoles(sub) {
+  const own = process.env[`ROXI_ROLES_${sub.toUpperCase()}`];
+  return own !== undefined ? parseIdList(own) : ADMIN_ROLES;
+}
+
+function canRun(interaction, sub) {
+  const perms = interaction.memberPermissions;
+  if (perms?.has(PermissionsBitField.Flags.Administrator)) return true;
+  const roles = allowedRoles(sub);
+  if (roles.includes('*')) return true;
+  if (roles.length === 0) return !!perms?.has(PermissionsBitField.Flags.ManageGuild);
+  const memberRoles = interaction.member?.roles;
+  // API members carry a plain id array, cached members a RoleManager
+  const has = Array.isArray(memberRoles)
+    ? (id) => memberRoles.includes(id)
+    : (id) => memberRoles?.cache?.has(id);
+  return roles.some(has);
+}
+
+const ephemeral = (content) => ({ content, flags: MessageFlags.Ephemeral });
+
+const langOf = (interaction) => supportedLocale(interaction.locale) || languageFor(interaction.channel);
+
+function describeMute(until, lang) {
+  if (!until) return t(lang, 'status.no');
+  return Number.isFinite(until) ? t(lang, 'status.yesLeft', { left: formatDuration(until - Date.now()) }) : t(lang, 'status.yes');
+}
+
+function formatProvider(p, lang) {
+  const icon = p.breaker === 'open' ? '⛔' : (p.healthy === false ? '⚠️' : '✅');
+  return t(lang, 'status.provider', { icon, name: p.name, model: p.model, answered: p.answered, breaker: p.breaker !== 'closed' ? `, ${p.breaker}` : '' });
+}
+
+function formatStatus(s, lang) {
+  return [
+    t(lang, 'status.title', { channel: s.channelName }),
+    t(lang, 'status.mode', { mode: s.mode, uptime: formatDuration(s.uptimeSec * 1000) }),
+    ...(s.envMuted ? [t(lang, 'status.envMuted')] : []),
+    t(lang, 'status.muted', { server: describeMute(s.guildMuteUntil, lang), here: describeMute(s.channelMuteUntil, lang) }),
+    t(lang, 'status.window', { sleeping: t(lang, s.sleeping ? 'status.yes' : 'status.no'), count: s.count, speakers: s.speakers }),
+    s.cooldownMs > 0 ? t(lang, 'status.cooldownLeft', { left: formatDuration(s.cooldownMs) }) : t(lang, 'status.cooldownReady'),
+    t(lang, 'status.feedback', {
+      talk: `${s.talkativeness >= 0 ? '+' : ''}${s.talkativeness.toFixed(2)}`, probability: s.probability.toFixed(2),
+      cooldown: formatDuration(s.cooldownTotalMs), hushed: s.hushed ? t(lang, 'status.hushed') : '',
+    }),
+    t(lang, 'status.language', { language: s.language, setting: s.languageSetting }),
+    t(lang, 'status.ai', { providers: s.providers.map(p => formatProvider(p, lang)).join(' · ') || t(lang, 'status.noProviders') }),
+  ].join('\n');
+}
+
+function formatDecision(d, lang) {
+  const time = new Date(d.ts).toISOString().slice(11, 19);
+  const verdict = d.reply ? t(lang, 'why.replied', { outcome: d.outcome }) : `⛔ ${d.gate}`;
+  const extra = [];
+  if (d.gate === 'cooldown') extra.push(t(lang, 'why.left', { left: formatDuration(d.cooldownLeftMs) }));
+  if (d.gate === 'user_gap') extra.push(t(lang, 'why.left', { left: formatDuration(d.userGapLeftMs) }));
+  if (d.roll !== null) extra.push(t(lang, 'why.roll', { roll: d.roll.toFixed(2), probability: d.probability }));
+  extra.push(t(lang, 'why.window', { count: d.count, speakers: d.speakers }));
+  return `\`${time}\` ${d.author} · ${d.trigger} → ${verdict} · ${extra.join(' · ')}`;
+}
+
+function knobLine(key, channel, lang) {
+  const { value, source } = lookupConf(key, channel);
+  return `\`${key}\` = ${formatValue(value)} _(${t(lang, `config.source.${source}`)})_ — ${KNOBS[key].help}`;
+}
 
-  if (text === 'roxi mute') {
-    msg.channel.send('🔇 Roxi muted by admin.').catch(() => {});
-    return { HARD_MUTE: true };
+async function handleConfig(interaction, sub, lang) {
+  const key = interaction.options.getString('key');
+  if (key && !(key in KNOBS)) return interaction.reply(ephemeral(t(lang, 'config.unknown', { key })));
+
+  const picked = interaction.options.getChannel('channel');
+  const channel = picked || interaction.channel;
+
+  if (sub === 'get') {
+    const keys = key ? [key] : Object.keys(KNOBS);
+    return interaction.reply(ephemeral(`${t(lang, 'config.list', { channel: channel.id })}\n${keys.map(k => knobLine(k, channel, lang)).join('\n')}`.slice(0, 2000)));
+  }
+
+  const level = interaction.options.getString('scope') || (picked ? 'channel' : 'server');
+  const scope = level === 'channel' ? { level, id: channel.id } : { level, id: interaction.guildId };
+
+  if (sub === 'set') {
+    let value;
+    try {
+      value = setConf(key, interaction.options.getString('value'), scope);
+    } catch (e) {
+      return interaction.reply(ephemeral(`⚠️ ${e.message}`));
+    }
+    log('info', { evt: 'config_set', key, value, scope: level, id: scope.id, by: logId(interaction.user.id) });
+    return interaction.reply(ephemeral(`✅ ${knobLine(key, channel, lang)}`));
+  }
+  if (sub === 'reset') {
+    resetConf(key, scope);
+    log('info', { evt: 'config_reset', key, scope: level, id: scope.id, by: logId(interaction.user.id) });
+    return interaction.reply(ephemeral(`↩️ ${knobLine(key, channel, lang)}`));
+  }
+}
+
+async function handleMemory(interaction, sub, lang) {
+  const guildId = interaction.guildId;
+
+  if (sub === 'channel') {
+    const ch = interaction.options.getChannel('channel') || interaction.channel;
+    if (interaction.options.getBoolean('clear')) {
+      clearChannel(ch.id);
+      log('info', { evt: 'memory_clear_channel', channel: ch.id, by: logId(interaction.user.id) });
+      return interaction.reply(ephemeral(t(lang, 'memory.cleared', { channel: ch.id })));
+    }
+    const s = getSummary(ch.id);
+    if (!s?.summary) return interaction.reply(ephemeral(t(lang, 'memory.noSummary', { channel: ch.id, pending: s?.pending || 0 })));
+    const age = formatDuration(Date.now() - s.updatedAt);
+    return interaction.reply(ephemeral(`${t(lang, 'memory.summary', { channel: ch.id, age, pending: s.pending })}\n${s.summary}`));
+  }
+
+  const user = interaction.options.getUser('user');
+  const member = interaction.options.getMember('user');
+  const name = member?.displayName || user.username;
+  const index = interaction.options.getInteger('number');
+
+  if (sub === 'show') {
+    const notes = listNotes(guildId, user.id);
+    if (!notes.length) return interaction.reply(ephemeral(t(lang, 'memory.nothing', { name })));
+    const lines = notes.map((n, i) => `${i + 1}. ${n.text}`);
+    return interaction.reply(ephemeral(`${t(lang, 'memory.about', { name })}\n${lines.join('\n')}`.slice(0, 2000)));
+  }
+  if (sub === 'add') {
+    const n = addNote(guildId, user.id, name, interaction.options.getString('note'), interaction.user.id);
+    log('info', { evt: 'memory_add', user: logId(user.id), by: logId(interaction.user.id) });
+    return interaction.reply(ephemeral(t(lang, 'memory.added', { n, name })));
   }
+  if (sub === 'edit') {
+    if (!editNote(guildId, user.id, index, interaction.options.getString('note'))) {
+      return interaction.reply(ephemeral(t(lang, 'memory.noNote', { name, n: index })));
+    }
+    log('info', { evt: 'memory_edit', user: logId(user.id), index, by: logId(interaction.user.id) });
+    return interaction.reply(ephemeral(t(lang, 'memory.edited', { name, n: index })));
+  }
+  if (sub === 'forget') {
+    if (!forgetUser(guildId, user.id, index)) {
+      return interaction.reply(ephemeral(index ? t(lang, 'memory.noNote', { name, n: index }) : t(lang, 'memory.nothing', { name })));
+    }
+    log('info', { evt: 'memory_forget', user: logId(user.id), index, by: logId(interaction.user.id) });
+    return interaction.reply(ephemeral(index ? t(lang, 'memory.forgotNote', { name, n: index }) : t(lang, 'memory.forgotAll', { name })));
+  }
+}
+
+/** { dueAt } or { cron } from the "in"/"every" options; throws a user-facing message. */
+function jobTiming(interaction, lang) {
+  const delay = interaction.options.getString('in');
+  const every = interaction.options.getString('every');
+  if (!delay === !every) throw new Error(t(lang, 'jobs.eitherTiming'));
+  if (every) return { cron: toCron(every) };
+  const ms = parseDuration(delay);
+  if (!ms) throw new Error(t(lang, 'jobs.badDelay'));
+  return { dueAt: Date.now() + ms };
+}
+
+function formatJob(j, lang) {
+  const when = `<t:${Math.floor(j.nextAt / 1000)}:f>${j.cron ? t(lang, 'jobs.repeats', { cron: j.cron }) : ''}`;
+  const where = j.dm ? t(lang, 'jobs.byDm') : t(lang, 'jobs.inChannel', { channel: j.channelId });
+  const what = j.kind === 'qotd' ? t(lang, 'jobs.qotd')
+    : j.kind === 'reminder' ? t(lang, 'jobs.reminder', { user: j.userId, text: j.text })
+      : t(lang, 'jobs.post', { text: j.text });
+  return `\`#${j.id}\` ${when} ${where} · ${what}`.slice(0, 300);
+}
 
-  if (text === 'roxi unmute') {
-    msg.channel.send('🔊 Roxi unmuted by admin.').catch(() => {});
-    return { HARD_MUTE: false };
+function jobList(title, jobs, lang) {
+  return `**${title}**\n${jobs.map(j => formatJob(j, lang)).join('\n')}`.slice(0, 2000);
+}
+
+async function handleSchedule(interaction, sub, lang) {
+  const guildId = interaction.guildId;
+  const ch = interaction.options.getChannel('channel') || interaction.channel;
+
+  if (sub === 'list') {
+    const picked = interaction.options.getChannel('channel');
+    const jobs = listJobs({ guildId, channelId: picked?.id });
+    if (!jobs.length) return interaction.reply(ephemeral(t(lang, 'schedule.none')));
+    return interaction.reply(ephemeral(jobList(t(lang, 'schedule.title'), jobs, lang)));
+  }
+  if (sub === 'cancel') {
+    const id = interaction.options.getInteger('id');
+    if (!cancelJob(id, { guildId })) return interaction.reply(ephemeral(t(lang, 'schedule.noJob', { id })));
+    return interaction.reply(ephemeral(t(lang, 'schedule.cancelled', { id })));
   }
 
-  if (text === 'roxi warmup') {
-    (async () => {
-      const ok = await warmup();
-      msg.channel.send(ok ? '🔥 warmed up' : '❄️ warmup failed').catch(()=>{});
-    })();
-    return true;
+  try {
+    if (sub === 'qotd') {
+      if (interaction.options.getBoolean('off')) {
+        const [job] = listJobs({ channelId: ch.id, kind: 'qotd' });
+        if (!job) return interaction.reply(ephemeral(t(lang, 'schedule.noQotd', { channel: ch.id })));
+        cancelJob(job.id);
+        return interaction.reply(ephemeral(t(lang, 'schedule.qotdOff', { channel: ch.id })));
+      }
+      const cron = toCron(interaction.options.getString('at') || '09:00');
+      const job = addJob({ kind: 'qotd', guildId, channelId: ch.id, userId: interaction.user.id, cron });
+      return interaction.reply(ephemeral(t(lang, 'schedule.qotdOn', { channel: ch.id, at: Math.floor(job.nextAt / 1000) })));
+    }
+    if (sub === 'post') {
+      const job = addJob({
+        kind: 'post', guildId, channelId: ch.id, userId: interaction.user.id,
+        text: interaction.options.getString('text'), ...jobTiming(interaction, lang),
+      });
+      return interaction.reply(ephemeral(t(lang, 'schedule.added', { job: formatJob(job, lang) })));
+    }
+  } catch (e) {
+    return interaction.reply(ephemeral(`⚠️ ${e.message}`));
   }
+}
+
+async function handleRemind(interaction, lang) {
+  const sub = interaction.options.getSubcommand();
+  const userId = interaction.user.id;
 
-  return false;
+  if (sub === 'list') {
+    const jobs = listJobs({ userId, kind: 'reminder' });
+    if (!jobs.length) return interaction.reply(ephemeral(t(lang, 'remind.none')));
+    return interaction.reply(ephemeral(jobList(t(lang, 'remind.title'), jobs, lang)));
+  }
+  if (sub === 'cancel') {
+    const id = interaction.options.getInteger('id');
+    if (!cancelJob(id, { userId })) return interaction.reply(ephemeral(t(lang, 'remind.noReminder', { id })));
+    return interaction.reply(ephemeral(t(lang, 'remind.cancelled', { id })));
+  }
+  try {
+    const job = addJob({
+      kind: 'reminder', guildId: interaction.guildId, channelId: interaction.channelId, userId,
+      dm: Boolean(interaction.options.getBoolean('dm')),
+      text: interaction.options.getString('text').trim(), ...jobTiming(interaction, lang),
+    });
+    return interaction.reply(ephemeral(t(lang, 'remind.added', { job: formatJob(job, lang) })));
+  } catch (e) {
+    return interaction.reply(ephemeral(`⚠️ ${e.message}`));
+  }
+}
+
+async function handleVoice(interaction, sub, lang) {
+  if (sub === 'leave') {
+    const left = leaveVoice(interaction.guildId);
+    return interaction.reply(ephemeral(t(lang, left ? 'voice.left' : 'voice.notIn')));
+  }
+  if (!voiceAvailable()) return interaction.reply(ephemeral(t(lang, 'voice.notSetUp')));
+  const ch = interaction.options.getChannel('channel')
+    || interaction.guild.members.cache.get(interaction.user.id)?.voice.channel;
+  if (!ch) return interaction.reply(ephemeral(t(lang, 'voice.pick')));
+
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+  try {
+    await joinVoice(ch);
+  } catch (e) {
+    return interaction.editReply(`⚠️ ${e.message}`).catch(() => {});
+  }
+  log('info', { evt: 'voice_join_cmd', guild: interaction.guildId, channel: ch.name, by: logId(interaction.user.id) });
+  post(ch, t(languageFor(ch), 'voice.notice'), { reason: 'notice' });
+  return interaction.editReply(t(lang, 'voice.joined', { channel: ch.id })).catch(() => {});
+}
+
+async function handleVoiceConsent(interaction, lang) {
+  const sub = interaction.options.getSubcommand();
+  const userId = interaction.user.id;
+  if (sub === 'optin') {
+    setVoiceConsent(userId, true);
+    return interaction.reply(ephemeral(t(lang, 'voice.optedIn')));
+  }
+  if (sub === 'optout') {
+    setVoiceConsent(userId, false);
+    return interaction.reply(ephemeral(t(lang, 'voice.optedOut')));
+  }
+  const s = voiceSession(interaction.guildId);
+  const where = s ? t(lang, 'voice.where', { channel: s.channelId, spoke: s.spokeLastHour, max: s.maxPerHour }) : t(lang, 'voice.notHere');
+  return interaction.reply(ephemeral(`${t(lang, hasVoiceConsent(userId) ? 'voice.consentYes' : 'voice.consentNo')} ${where}`));
+}
+
+function formatPrivacy(p, lang) {
+  const value = (b) => t(lang, b ? 'privacy.on' : 'privacy.off');
+  return [
+    t(lang, 'privacy.noContext', { value: value(p.noContext) }),
+    t(lang, 'privacy.noProactive', { value: value(p.noProactive) }),
+    t(lang, 'privacy.pseudonym', { value: value(p.pseudonym) }),
+  ].join('\n');
+}
+
+// export and delete ask every shard (userdata.js), so they reply deferred
+async function exportReply(interaction, userId, lang) {
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+  try {
+    const data = JSON.stringify(await exportUserEverywhere(interaction.client, userId), null, 2);
+    return interaction.editReply({
+      content: t(lang, 'privacy.export'),
+      files: [{ attachment: Buffer.from(data), name: `roxi-data-${userId}.json` }],
+    }).catch(() => {});
+  } catch (e) {
+    return interaction.editReply(`⚠️ ${e.message}`).catch(() => {});
+  }
+}
+
+async function deleteReply(interaction, userId, by, lang) {
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+  try {
+    const counts = await deleteUserEverywhere(interaction.client, userId, { by });
+    return interaction.editReply(describeDeletion(counts, lang)).catch(() => {});
+  } catch (e) {
+    return interaction.editReply(`⚠️ ${e.message}`).catch(() => {});
+  }
+}
+
+function describeDeletion(c, lang) {
+  const extra = [c.dms && t(lang, 'privacy.dmSettings'), c.voice && t(lang, 'privacy.voiceConsent')].filter(Boolean);
+  return [
+    t(lang, 'privacy.deleted', { ...c, extra: extra.length ? `, ${extra.join(', ')}` : '' }),
+    t(lang, 'privacy.summariesReset', { n: c.summaries }),
+  ].join('\n');
+}
+
+async function handlePrivacyAdmin(interaction, sub, lang) {
+  const user = interaction.options.getUser('user');
+  if (sub === 'export') return exportReply(interaction, user.id, lang);
+  if (sub === 'delete') return deleteReply(interaction, user.id, interaction.user.id, lang);
+}
+
+async function handlePrivacy(interaction, lang) {
+  const sub = interaction.options.getSubcommand();
+  const userId = interaction.user.id;
+  if (sub === 'show') return interaction.reply(ephemeral(formatPrivacy(privacyOf(userId), lang)));
+  if (sub === 'set') {
+    const p = setPrivacy(userId, {
+      noContext: interaction.options.getBoolean('exclude_context') ?? undefined,
+      noProactive: interaction.options.getBoolean('no_proactive') ?? undefined,
+      pseudonym: interaction.options.getBoolean('pseudonym') ?? undefined,
+    });
+    clearTldrCache(); // cached catch-ups may show them the old way
+    log('info', { evt: 'privacy_set', user: logId(userId), ...p });
+    return interaction.reply(ephemeral(`${t(lang, 'privacy.saved')}\n${formatPrivacy(p, lang)}`));
+  }
+  if (sub === 'export') return exportReply(interaction, userId, lang);
+  if (sub === 'delete') {
+    if (!interaction.options.getBoolean('confirm')) return interaction.reply(ephemeral(t(lang, 'privacy.nothingDeleted')));
+    return deleteReply(interaction, userId, userId, lang);
+  }
+}
+
+/**
+ * Handle a /roxi, /remind, /voice or /privacy interaction.
+ * controls: { status(channel) } — state that lives in index.js
+ */
+export async function handleInteraction(interaction, controls) {
+  if (interaction.isAutocomplete()) {
+    if (interaction.commandName !== 'roxi') return;
+    const focused = interaction.options.getFocused(true);
+    const typed = String(focused.value || '').toLowerCase();
+    const pool = focused.name === 'name' ? listPersonas() : Object.keys(KNOBS);
+    const choices = pool
+      .filter(k => k.toLowerCase().includes(typed))
+      .slice(0, 25)
+      .map(k => ({ name: k, value: k }));
+    return interaction.respond(choices).catch(() => {});
+  }
+
+  if (!interaction.isChatInputCommand()) return;
+  const lang = langOf(interaction);
+  if (interaction.commandName === 'remind') return handleRemind(interaction, lang);
+  if (interaction.commandName === 'voice') return handleVoiceConsent(interaction, lang);
+  if (interaction.commandName === 'privacy') return handlePrivacy(interaction, lang);
+  if (interaction.commandName !== 'roxi') return;
+
+  const group = interaction.options.getSubcommandGroup(false);
+  const sub = interaction.options.getSubcommand();
+  if (!canRun(interaction, group || sub)) {
+    return interaction.reply(ephemeral(t(lang, 'cmd.denied')));
+  }
+
+  if (group === 'config') return handleConfig(interaction, sub, lang);
+  if (group === 'memory') return handleMemory(interaction, sub, lang);
+  if (group === 'schedule') return handleSchedule(interaction, sub, lang);
+  if (group === 'voice') return handleVoice(interaction, sub, lang);
+  if (group === 'privacy') return handlePrivacyAdmin(interaction, sub, lang);
+
+  const target = interaction.options.getChannel('channel');
+
+  if (sub === 'mute') {
+    const rawDuration = interaction.options.getString('duration');
+    const ms = parseDuration(rawDuration);
+    if (rawDuration && !ms) return interaction.reply(ephemeral(t(lang, 'mute.badDuration')));
+    const until = ms ? Date.now() + ms : Infinity;
+    mute(target?.id ?? guildKey(interaction.guildId), until);
+    log('info', { evt: 'mute', guild: interaction.guildId, channel: target?.name ?? '*', ms, by: logId(interaction.user.id) });
+    const where = target ? t(lang, 'mute.inChannel', { channel: target.id }) : t(lang, 'mute.inServer');
+    return interaction.reply(ephemeral(t(lang, 'mute.muted', { where, duration: ms ? t(lang, 'mute.for', { duration: formatDuration(ms) }) : '' })));
+  }
+
+  if (sub === 'unmute') {
+    unmute(target?.id ?? guildKey(interaction.guildId));
+    log('info', { evt: 'unmute', guild: interaction.guildId, channel: target?.name ?? '*', by: logId(interaction.user.id) });
+    const where = target ? t(lang, 'mute.inChannel', { channel: target.id }) : t(lang, 'mute.inServer');
+    // ROXI_MUTE lives in the bot's environment; nothing here can lift it
+    return interaction.reply(ephemeral(t(lang, envMuted() ? 'mute.envStill' : 'mute.unmuted', { where })));
+  }
+
+  if (sub === 'status') {
+    return interaction.reply(ephemeral(formatStatus(controls.status(target || interaction.channel), lang)));
+  }
+
+  if (sub === 'why') {
+    const ch = target || interaction.channel;
+    const decisions = recentDecisions(ch.id, interaction.options.getInteger('count') || 10);
+    if (!decisions.length) return interaction.reply(ephemeral(t(lang, 'why.none', { channel: ch.id })));
+    const body = decisions.map(d => formatDecision(d, lang)).join('\n');
+    return interaction.reply(ephemeral(`${t(lang, 'why.title', { channel: ch.id })}\n${body}`.slice(0, 2000)));
+  }
+
+  if (sub === 'sleep') {
+    const ch = target || interaction.channel;
+    forceSleep(ch.id);
+    return interaction.reply(ephemeral(t(lang, 'sleep.done', { channel: ch.id })));
+  }
+
+  if (sub === 'forgive') {
+    const ch = target || interaction.channel;
+    const had = resetFeedback(ch.id);
+    log('info', { evt: 'feedback_reset', channel: ch.id, by: logId(interaction.user.id) });
+    return interaction.reply(ephemeral(t(lang, had ? 'forgive.done' : 'forgive.nothing', { channel: ch.id })));
+  }
+
+  if (sub === 'tldr') {
+    const ch = target || interaction.channel;
+    const rawSince = interaction.options.getString('since');
+    const ms = parseDuration(rawSince);
+    if (rawSince && !ms) return interaction.reply(ephemeral(t(lang, 'tldr.badSince')));
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    try {
+      const out = await tldr(ch, {
+        count: interaction.options.getInteger('count'),
+        since: ms ? Date.now() - ms : null,
+        userId: interaction.user.id,
+        language: lang,
+      });
+      if (!out.text) return interaction.editReply(t(lang, 'tldr.nothing', { channel: ch.id })).catch(() => {});
+      return interaction.editReply(`${t(lang, 'tldr.title', { channel: ch.id, n: out.messages })}\n${out.text}`.slice(0, 2000)).catch(() => {});
+    } catch (e) {
+      log('warn', { evt: 'tldr_fail', channel: ch.id, err: e?.message });
+      return interaction.editReply(t(lang, 'tldr.failed', { channel: ch.id, error: e.message })).catch(() => {});
+    }
+  }
+
+  if (sub === 'persona') {
+    const name = interaction.options.getString('name');
+    const current = lookupConf('persona', interaction.channel).value;
+    if (!name) {
+      const lines = listPersonas().map(id => `${id === current ? '▶' : '•'} \`${id}\` — ${getPersona(id).description || ''}`);
+      return interaction.reply(ephemeral(`${lines.join('\n') || t(lang, 'persona.none')}\n${t(lang, 'persona.switch')}`));
+    }
+    if (!listPersonas().includes(name.toLowerCase())) return interaction.reply(ephemeral(t(lang, 'persona.unknown', { name })));
+    const p = getPersona(name);
+    return interaction.reply(ephemeral([
+      `**${p.id}** — ${p.description || ''}`,
+      t(lang, 'persona.stats', { temperature: p.temperature, words: p.wordLimit, followUp: p.followUpRate, tokens: p.maxTokens }),
+      '```', personaSystemPrompt(p).slice(0, 1500), '```',
+    ].join('\n')));
+  }
+
+  if (sub === 'warmup') {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    const ok = await warmup();
+    return interaction.editReply(t(lang, ok ? 'warmup.ok' : 'warmup.fail')).catch(() => {});
+  }
 }
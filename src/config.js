@@ -0,0 +1,192 @@
+// Runtime-tunable knobs: env provides the defaults, per-guild and per-channel
+// overrides are edited live via /roxi config and persisted in data/config.json.
+import { loadJson, saveJson } from './store.js';
+import { listPersonas, DEFAULT_PERSONA } from './persona.js';
+
+// Kept here rather than imported from moderation.js, which itself reads config.
+export const MOD_CATEGORIES = ['secrets', 'doxxing', 'slurs', 'selfharm'];
+
+// Same for i18n.js: languages with a catalog in locales/, code -> name given to the model
+export const LANGUAGES = { en: 'English', ro: 'Romanian' };
+
+/**
+ * key -> { type, env, def, help, choices? }
+ * type: 'number' | 'bool' | 'string' | 'list' | 'timezone' (IANA name) | 'hours' ("23-8", or "off")
+ * choices: () => allowed string values (checked on set; per item for lists)
+ */
+export const KNOBS = {
+  // Sleep/wake
+  sleepAfterMin:       { type: 'number', env: 'ROXI_SLEEP_AFTER_MIN',       def: 60,     help: 'minutes of silence before a channel sleeps' },
+  wakeMsgEnabled:      { type: 'bool',   env: 'ROXI_WAKE_MSG_ENABLED',      def: false,  help: 'announce when a channel wakes up' },
+  wakeAnnounceSec:     { type: 'number', env: 'ROXI_WAKE_ANNOUNCE_SEC',     def: 120,    help: 'max age (s) of the waking message for an announcement' },
+
+  // Momentum / cadence
+  momentumMin:         { type: 'number', env: 'ROXI_MOMENTUM_MIN',          def: 20,     help: 'momentum lookback window (min)' },
+  momentumMsgs:        { type: 'number', env: 'ROXI_MOMENTUM_MSGS',         def: 10,     help: 'messages needed in the window' },
+  minSpeakers:         { type: 'number', env: 'ROXI_MIN_SPEAKERS',          def: 3,      help: 'distinct speakers needed in the window' },
+  minSpeakersPublic:   { type: 'number', env: 'ROXI_MIN_SPEAKERS_PUBLIC',   def: 3,      help: 'distinct speakers needed in public channels' },
+  minSpeakersThread:   { type: 'number', env: 'ROXI_MIN_SPEAKERS_THREAD',   def: 3,      help: 'distinct speakers needed in threads' },
+  channelCooldownMs:   { type: 'number', env: 'ROXI_CHANNEL_COOLDOWN_MS',   def: 180000, help: 'min gap between Roxi replies in a channel (ms)' },
+  userGapMs:           { type: 'number', env: 'ROXI_USER_GAP_MS',           def: 20000,  help: 'min time since the previous human message for a reply (ms)' },
+  maxContextMsgs:      { type: 'number', env: 'ROXI_MAX_CONTEXT_MSGS',      def: 25,     help: 'history messages fetched for context' },
+  maxInputChars:       { type: 'number', env: 'ROXI_MAX_INPUT_CHARS',       def: 800,    help: 'per-message character cap for context' },
+  replyProbability:    { type: 'number', env: 'ROXI_REPLY_PROBABILITY',     def: 0.33,   help: 'chance of an organic reply (0-1)' },
+
+  // Feedback (see feedback.js): reactions and replies move probability/cooldown within these bounds
+  feedback:            { type: 'bool',   env: 'ROXI_FEEDBACK',              def: true,   help: 'learn from reactions, replies and "shut up roxi"' },
+  replyProbabilityMin: { type: 'number', env: 'ROXI_REPLY_PROBABILITY_MIN', def: 0.05,   help: 'lowest learned reply probability' },
+  replyProbabilityMax: { type: 'number', env: 'ROXI_REPLY_PROBABILITY_MAX', def: 0.6,    help: 'highest learned reply probability' },
+  cooldownMinMs:       { type: 'number', env: 'ROXI_COOLDOWN_MIN_MS',       def: 60000,  help: 'shortest learned channel cooldown (ms)' },
+  cooldownMaxMs:       { type: 'number', env: 'ROXI_COOLDOWN_MAX_MS',       def: 900000, help: 'longest learned channel cooldown (ms)' },
+
+  // Proactivity / triggers
+  proactiveProbability:{ type: 'number', env: 'ROXI_PROACTIVE_PROBABILITY', def: 0.15,   help: 'chance per tick that Roxi nudges one channel of the server (0-1)' },
+  proactiveDailyMax:   { type: 'number', env: 'ROXI_PROACTIVE_DAILY_MAX',   def: 4,      help: 'max proactive messages per channel per local day' },
+  reviveAfterMin:      { type: 'number', env: 'ROXI_REVIVE_AFTER_MIN',      def: 180,    help: 'quiet minutes before Roxi may start a new topic (0 = never)' },
+  quietHours:          { type: 'hours',  env: 'ROXI_QUIET_HOURS',           def: '0-8',  help: 'local hours with no proactive messages, e.g. 23-8 (off = none)' },
+  timezone:            { type: 'timezone', env: 'ROXI_TIMEZONE',            def: Intl.DateTimeFormat().resolvedOptions().timeZone, help: 'IANA time zone for quiet hours and daily budgets' },
+  keyword:             { type: 'string', env: 'ROXI_KEYWORD',               def: 'roxi', help: 'word that counts as addressing Roxi' },
+  lingerMs:            { type: 'number', env: 'ROXI_LINGER_MS',             def: 120000, help: 'follow-up window after Roxi speaks (ms)' },
+  channels:            { type: 'list',   env: 'ROXI_CHANNELS',              def: [],     help: 'channel-name allowlist (empty = all)' },
+
+  // Memory
+  memory:              { type: 'bool',   env: 'ROXI_MEMORY_ENABLED',        def: true,   help: 'remember channel summaries and user notes' },
+  memorySummaryEvery:  { type: 'number', env: 'ROXI_MEMORY_SUMMARY_EVERY',  def: 40,     help: 'new messages before the channel summary is refreshed' },
+
+  // Moderation (see moderation.js)
+  modCategories:       { type: 'list',   env: 'ROXI_MOD_CATEGORIES',        def: [...MOD_CATEGORIES], help: 'moderation categories in force', choices: () => MOD_CATEGORIES },
+  blocklist:           { type: 'list',   env: 'ROXI_BLOCKLIST',             def: [],     help: 'extra words/phrases masked in and out' },
+
+  // Output
+  streaming:           { type: 'bool',   env: 'ROXI_STREAMING',             def: false,  help: 'post replies right away and edit them as tokens arrive' },
+  longReplies:         { type: 'bool',   env: 'ROXI_LONG_REPLIES',          def: true,   help: 'allow multi-paragraph answers to mentions and replies' },
+  qualityGuard:        { type: 'bool',   env: 'ROXI_QUALITY_GUARD',         def: true,   help: 'regenerate replies that repeat Roxi, echo the user, loop or leak the prompt' },
+  tools:               { type: 'bool',   env: 'ROXI_TOOLS',                 def: true,   help: 'let Roxi use dice, polls, reminders, search and math when addressed' },
+
+  // Direct messages (see dm.js); set per server
+  dms:                 { type: 'bool',   env: 'ROXI_DMS',                   def: true,   help: 'members of this server may chat with Roxi in DMs' },
+
+  // Language (see i18n.js): "auto" follows the chat, sticking to one language until it clearly changes
+  language:            { type: 'string', env: 'ROXI_LANGUAGE',              def: 'auto', help: 'language Roxi speaks: auto (follow the chat), en or ro', choices: () => ['auto', ...Object.keys(LANGUAGES)] },
+
+  // Persona
+  persona:             { type: 'string', env: 'ROXI_PERSONA',               def: DEFAULT_PERSONA, help: 'persona profile from personas/', choices: listPersonas },
+};
+
+/**
+ * Parse a raw string into the knob's type.
+ * Throws on invalid input so callers can report it back.
+ */
+export function parseValue(key, raw) {
+  const knob = KNOBS[key];
+  if (!knob) throw new Error(`unknown key "${key}"`);
+  const s = String(raw ?? '').trim();
+  switch (knob.type) {
+    case 'number': {
+      const n = Number(s);
+      if (s === '' || !Number.isFinite(n)) throw new Error(`"${key}" expects a number`);
+      return n;
+    }
+    case 'bool': {
+      if (/^(1|true|on|yes)$/i.test(s)) return true;
+      if (/^(0|false|off|no)$/i.test(s)) return false;
+      throw new Error(`"${key}" expects on/off`);
+    }
+    case 'list': {
+      const items = s.split(',').map(x => x.trim().toLowerCase()).filter(Boolean);
+      const allowed = knob.choices?.();
+      const bad = allowed ? items.filter(x => !allowed.includes(x)) : [];
+      if (bad.length) throw new Error(`"${key}" only takes: ${allowed.join(', ')} (got ${bad.join(', ')})`);
+      return items;
+    }
+    case 'timezone': {
+      try { return new Intl.DateTimeFormat('en-US', { timeZone: s }).resolvedOptions().timeZone; }
+      catch { throw new Error(`"${key}" expects a time zone like Europe/Bucharest`); }
+    }
+    case 'hours': {
+      if (/^(off|none)$/i.test(s)) return 'off';
+      const m = s.match(/^(\d{1,2})\s*-\s*(\d{1,2})$/);
+      if (!m || Number(m[1]) > 23 || Number(m[2]) > 24 || m[1] === m[2]) throw new Error(`"${key}" expects hours like 23-8, or off`);
+      return `${Number(m[1])}-${Number(m[2])}`;
+    }
+    default: {
+      const v = s.toLowerCase();
+      const allowed = knob.choices?.();
+      if (allowed && !allowed.includes(v)) throw new Error(`"${key}" must be one of: ${allowed.join(', ')}`);
+      return v;
+    }
+  }
+}
+
+function fromEnv(key) {
+  const knob = KNOBS[key];
+  const raw = process.env[knob.env];
+  if (raw === undefined || raw === '') return knob.def;
+  try { return parseValue(key, raw); } catch { return knob.def; }
+}
+
+const defaults = {};
+for (const key of Object.keys(KNOBS)) defaults[key] = fromEnv(key);
+
+const FILE = 'config.json';
+const saved = loadJson(FILE, {});        // { guilds: { id: {key: v} }, channels: { id: {key: v} } }
+saved.guilds ??= {};
+saved.channels ??= {};
+
+function assertKey(key) {
+  if (!(key in KNOBS)) throw new Error(`unknown config key "${key}"`);
+}
+
+/**
+ * Resolve a knob for a channel: channel override, then the parent channel's
+ * (for threads), then the guild's, then the env default.
+ * `channel` may be a discord.js channel or any { id, parentId, guildId }; omit it for the default.
+ * Returns { value, source } where source is 'channel' | 'server' | 'default'.
+ */
+export function lookupConf(key, channel) {
+  assertKey(key);
+  for (const id of [channel?.id, channel?.parentId]) {
+    const v = id ? saved.channels[id]?.[key] : undefined;
+    if (v !== undefined) return { value: v, source: 'channel' };
+  }
+  const g = channel?.guildId ? saved.guilds[channel.guildId]?.[key] : undefined;
+  if (g !== undefined) return { value: g, source: 'server' };
+  return { value: defaults[key], source: 'default' };
+}
+
+export function conf(key, channel) {
+  return lookupConf(key, channel).value;
+}
+
+function bucket(scope) {
+  if (scope?.level === 'server') return saved.guilds;
+  if (scope?.level === 'channel') return saved.channels;
+  throw new Error('scope must be server or channel');
+}
+
+/**
+ * Set an override. scope: { level: 'server' | 'channel', id }
+ */
+export function setConf(key, raw, scope) {
+  const v = parseValue(key, raw);
+  const b = bucket(scope);
+  (b[scope.id] ??= {})[key] = v;
+  saveJson(FILE, saved);
+  return v;
+}
+
+/** Drop an override so the next scope up applies again. */
+export function resetConf(key, scope) {
+  assertKey(key);
+  const b = bucket(scope);
+  if (b[scope.id]) {
+    delete b[scope.id][key];
+    if (Object.keys(b[scope.id]).length === 0) delete b[scope.id];
+    saveJson(FILE, saved);
+  }
+}
+
+export function formatValue(v) {
+  if (Array.isArray(v)) return v.length ? v.join(',') : '(empty)';
+  return String(v);
+}
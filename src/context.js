@@ -0,0 +1,104 @@
+// Context builder: recent channel history plus the structure around the message
+// Roxi is answering — its reply chain and, inside threads, the starter message.
+import { conf } from './config.js';
+import { moderateInput } from './moderation.js';
+import { describeAttachments, placeholders, readTextAttachment, loadImages } from './attachments.js';
+import { visionAvailable } from './providers/index.js';
+import { excludedFromContext, directedOnly, modelName } from './privacy.js';
+
+const CHAIN_DEPTH = Number(process.env.ROXI_REPLY_CHAIN_DEPTH || 5); // max hops up a reply chain
+const INLINE_WINDOW = 6; // only the newest messages get text files inlined / images loaded
+
+/**
+ * Discord message → context entry (content moderated, same shape everywhere).
+ * Attachments show up as "[sent an image: x.png]" markers in `content`.
+ */
+function toEntry(m, channel) {
+  const { text, flags } = moderateInput(m.cleanContent || '', channel, { maxLen: conf('maxInputChars', channel) });
+  const attachments = describeAttachments(m);
+  return {
+    id: m.id,
+    uid: m.author.id,
+    author: m.author.bot ? 'bot' : modelName(m.author.id, m.member?.displayName || m.author.username),
+    content: [text, placeholders(attachments)].filter(Boolean).join(' '),
+    attachments,
+    flags,
+    replyTo: m.reference?.messageId || null,
+    ts: m.createdTimestamp,
+    isBot: m.author.bot,
+  };
+}
+
+/** Append small text/code attachments (moderated like any message) to their entry. */
+async function inlineTextFiles(entries, channel) {
+  await Promise.all(entries.map(async (e) => {
+    for (const a of e.attachments) {
+      const raw = await readTextAttachment(a);
+      if (!raw) continue;
+      const { text } = moderateInput(raw, channel, { maxLen: raw.length });
+      if (text) e.content += `\n[${a.name}]\n${text}`;
+    }
+  }));
+}
+
+async function fetchMessage(channel, id, known) {
+  if (known.has(id)) return known.get(id);
+  return channel.messages.fetch(id).catch(() => null);
+}
+
+/**
+ * Walk `anchor`'s reply chain upwards (oldest first, anchor excluded).
+ * Stops at CHAIN_DEPTH hops, a deleted message, or a reference to another channel.
+ */
+async function replyChain(channel, anchor, known) {
+  const chain = [];
+  let cur = anchor;
+  while (chain.length < CHAIN_DEPTH && cur?.reference?.messageId) {
+    if (cur.reference.channelId && cur.reference.channelId !== channel.id) break;
+    cur = await fetchMessage(channel, cur.reference.messageId, known);
+    if (!cur) break;
+    chain.unshift(cur);
+  }
+  return chain;
+}
+
+/**
+ * Build the context for one reply.
+ * anchor: the Discord message being answered (null for proactive messages).
+ * opts.unprompted: Roxi speaks on her own, so people who only want to be talked to
+ * when they ask (privacy.js) are left out too. The anchor itself always stays.
+ * Returns {
+ *   messages: [entry]          recent history, oldest first
+ *   chain:    [entry]          reply chain above the anchor, oldest first
+ *   thread:   { name, starter: entry|null } | null
+ *   target:   entry | null     the message Roxi answers
+ *   images:   [{ mime, data, author }]  newest images, only when a provider in the chain has vision
+ * }
+ */
+export async function buildContext(channel, anchor = null, { unprompted = false } = {}) {
+  const limit = conf('maxContextMsgs', channel);
+  const history = await channel.messages.fetch({ limit: Math.min(50, limit) }).catch(() => null);
+  const sorted = history ? [...history.values()].sort((a, b) => a.createdTimestamp - b.createdTimestamp) : [];
+  const known = new Map(sorted.map(m => [m.id, m]));
+
+  const hidden = (m) => m.id !== anchor?.id
+    && (excludedFromContext(m.author.id) || (unprompted && directedOnly(m.author.id)));
+  const messages = sorted.slice(-limit).filter(m => !hidden(m)).map(m => toEntry(m, channel)).filter(m => m.content || !m.isBot);
+
+  const chain = anchor ? (await replyChain(channel, anchor, known)).filter(m => !hidden(m)).map(m => toEntry(m, channel)) : [];
+
+  let thread = null;
+  if (channel.isThread?.()) {
+    const starter = await channel.fetchStarterMessage().catch(() => null);
+    // the starter lives in the parent channel, so moderate under the parent's settings
+    thread = { name: channel.name, starter: starter && !hidden(starter) ? toEntry(starter, channel.parent || channel) : null };
+  }
+
+  const target = anchor ? (messages.find(m => m.id === anchor.id) || toEntry(anchor, channel)) : null;
+
+  const newest = [...new Set([...chain.slice(-1), ...messages.slice(-INLINE_WINDOW), ...(target ? [target] : [])])];
+  await inlineTextFiles(newest, channel);
+  const images = visionAvailable() ? await loadImages(newest) : [];
+
+  return { messages, chain, thread, target, images };
+}
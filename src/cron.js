@@ -0,0 +1,100 @@
+// Five-field cron expressions ("m h dom mon dow"), evaluated in the process time zone (TZ).
+// Fields take *, numbers, names (jan, fri), ranges, lists and steps: "*/15 9-17 * * mon-fri".
+// As in classic cron, when both day-of-month and day-of-week are restricted either one matches.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], base: 1 },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], base: 0 },
+];
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+};
+
+const MAX_STEPS = 5000; // enough to cross several years of non-matching months/days
+
+function parseAtom(s, f) {
+  const i = f.names?.indexOf(s.toLowerCase()) ?? -1;
+  const n = i >= 0 ? i + f.base : (/^\d+$/.test(s) ? Number(s) : NaN);
+  if (!(n >= f.min && n <= f.max)) throw new Error(`bad ${f.name} "${s}"`);
+  return n;
+}
+
+function parseField(src, f) {
+  const set = new Set();
+  for (const part of src.split(',')) {
+    const [range, stepRaw] = part.split('/');
+    const step = stepRaw === undefined ? 1 : Number(stepRaw);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`bad step in ${f.name} "${part}"`);
+    let lo = f.min;
+    let hi = f.max;
+    if (range !== '*') {
+      const [a, b] = range.split('-');
+      lo = parseAtom(a, f);
+      hi = b === undefined ? (stepRaw === undefined ? lo : f.max) : parseAtom(b, f);
+      if (hi < lo) throw new Error(`bad range in ${f.name} "${part}"`);
+    }
+    for (let v = lo; v <= hi; v += step) set.add(v);
+  }
+  return set;
+}
+
+/** Parse an expression into matcher sets; throws with a readable message. */
+export function parseCron(expr) {
+  const src = ALIASES[String(expr).trim().toLowerCase()] || String(expr).trim();
+  const parts = src.split(/\s+/);
+  if (parts.length !== 5) throw new Error('a schedule needs 5 fields: minute hour day month weekday');
+  const [minute, hour, dom, month, dow] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  if (dow.delete(7)) dow.add(0);
+  return { minute, hour, dom, month, dow, domAny: parts[2] === '*', dowAny: parts[4] === '*' };
+}
+
+function dayMatches(c, d) {
+  const dom = c.dom.has(d.getDate());
+  const dow = c.dow.has(d.getDay());
+  if (c.domAny || c.dowAny) return dom && dow;
+  return dom || dow;
+}
+
+/** Next run strictly after `from` (ms), or null if the expression never matches (e.g. Feb 30). */
+export function nextCron(expr, from = Date.now()) {
+  const c = typeof expr === 'string' ? parseCron(expr) : expr;
+  const d = new Date(from);
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+  for (let i = 0; i < MAX_STEPS; i++) {
+    if (!c.month.has(d.getMonth() + 1)) {
+      d.setMonth(d.getMonth() + 1, 1);
+      d.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(c, d)) {
+      d.setDate(d.getDate() + 1);
+      d.setHours(0, 0, 0, 0);
+    } else if (!c.hour.has(d.getHours())) {
+      d.setHours(d.getHours() + 1, 0, 0, 0);
+    } else if (!c.minute.has(d.getMinutes())) {
+      d.setMinutes(d.getMinutes() + 1, 0, 0);
+    } else {
+      return d.getTime();
+    }
+  }
+  return null;
+}
+
+/**
+ * Friendly schedules for slash commands and the reminder tool, turned into cron:
+ *   "21:00" → daily, "fri 19:30" / "mon-fri 08:00" / "sat,sun 11:00" → weekly,
+ *   anything else is taken as a cron expression. Throws if it never fires.
+ */
+export function toCron(text) {
+  const s = String(text || '').trim().toLowerCase();
+  const m = s.match(/^(?:([a-z,\-]+)\s+)?(\d{1,2}):(\d{2})$/);
+  const expr = m ? `${Number(m[3])} ${Number(m[2])} * * ${m[1] || '*'}` : s;
+  if (nextCron(expr) === null) throw new Error(`"${text}" never fires`);
+  return expr;
+}
@@ -0,0 +1,142 @@
+// Reply decision engine: whether Roxi speaks, and which gate said no.
+// Discord-free and clock-injectable so the replay harness runs the exact same logic.
+import { conf } from './config.js';
+import { isMuted } from './mutes.js';
+import {
+  recordActivity,
+  windowStats,
+  channelIsActive,
+  isChannelSleeping,
+  lastHumanActivity,
+} from './sleep.js';
+import { noteRoxiMessage, noteHumanFeedback, isHushed, tunedProbability, tunedCooldown } from './feedback.js';
+import { sharedMap } from './state/index.js';
+
+// Conversational state (kept in the state backend, see state/index.js)
+export const lastReplyPerChannel = sharedMap('lastReply');          // channelId -> ts
+export const recentEngagement = sharedMap('engagement');            // channelId -> timestamp of last engagement window start
+export const lastRoxiMsgIdPerChannel = sharedMap('lastRoxiMsg');    // channelId -> last sent message id
+
+const DIRECTED = new Set(['reply', 'mention', 'keyword']);
+const LINGER_EXTEND_MS = 10000; // someone speaking this soon after Roxi extends the linger window
+
+// Tunables resolved per channel at use time (see config.js / `/roxi config`)
+export const sleepOpts    = (ch) => ({ SLEEP_AFTER_MIN: conf('sleepAfterMin', ch) });
+export const momentumOpts = (ch) => ({
+  MOMENTUM_LOOKBACK_MIN: conf('momentumMin', ch),
+  MOMENTUM_MIN_MSGS: conf('momentumMsgs', ch),
+  MIN_DISTINCT_SPEAKERS: conf('minSpeakers', ch),
+});
+
+export function allowedByChannelList(channel) {
+  const allowed = conf('channels', channel); // optional allowlist (empty for all)
+  if (allowed.length === 0) return true;
+  return allowed.includes(channel.name.toLowerCase());
+}
+
+/**
+ * Hard gates that apply to every path. Returns the blocking gate name, or null.
+ * Gates: muted | not_allowlisted | sleeping | cooldown | user_gap
+ * The cooldown is the channel's learned one (see feedback.js).
+ */
+export function speakGate(channel, lastUserTs, now = Date.now()) {
+  if (isMuted(channel)) return 'muted';
+  if (!allowedByChannelList(channel)) return 'not_allowlisted';
+  if (isChannelSleeping(channel.id, { ...sleepOpts(channel), now })) return 'sleeping';
+  const last = lastReplyPerChannel.get(channel.id) || 0;
+  if (now - last < tunedCooldown(channel, now)) return 'cooldown';
+  if (now - lastUserTs < conf('userGapMs', channel)) return 'user_gap';
+  return null;
+}
+
+/**
+ * Conversation-size gates for unprompted speech (organic + proactive).
+ * Gates: too_few_speakers | low_momentum
+ */
+export function momentumGate(channel) {
+  const isThread = channel.isThread?.() ?? false;
+  const { speakers } = windowStats(channel.id);
+  const need = isThread ? conf('minSpeakersThread', channel) : conf('minSpeakersPublic', channel);
+  if (speakers < need) return 'too_few_speakers';
+  if (!channelIsActive(channel.id, momentumOpts(channel))) return 'low_momentum';
+  return null;
+}
+
+/**
+ * Feed one human message through the engine (records activity as a side effect).
+ * msg: { channel, authorId, ts, content, mentioned, replyToId, directedOnly }
+ *   directedOnly: the author only wants answers when they address Roxi (privacy.js)
+ * env: { now, roll: () => [0,1), canSend }
+ * Returns a decision record:
+ *   { ts, authorId, reply, trigger, gate, count, speakers, cooldownLeftMs, sinceHumanMs, userGapLeftMs, roll, probability }
+ *   trigger: reply | mention | keyword | linger | organic
+ *   gate: the gate that blocked it (null when replying); besides the speak/momentum gates:
+ *         probability | no_send_perm | hushed (told to shut up; only directed messages get through for a while)
+ *         | privacy (an undirected message from someone who opted out of unprompted replies)
+ *   sinceHumanMs: time since the previous human message in the channel (null for the first one)
+ *   roll/probability: only set when the dice were actually rolled
+ */
+export function onHumanMessage(msg, { now = Date.now(), roll = Math.random, canSend = true } = {}) {
+  const { channel } = msg;
+
+  // the user gap is measured from the human message before this one
+  const lastUserTs = lastHumanActivity.get(channel.id) || 0;
+  recordActivity(channel.id, msg.authorId, msg.ts, momentumOpts(channel));
+  lastHumanActivity.set(channel.id, msg.ts);
+
+  const lastRoxi = lastReplyPerChannel.get(channel.id) || 0;
+  if (now - lastRoxi < LINGER_EXTEND_MS) recentEngagement.set(channel.id, now);
+
+  // ===== Directed-to-Roxi detection =====
+  const content = (msg.content || '').toLowerCase();
+  const keyword = conf('keyword', channel);
+  const keywordTrigger = Boolean(keyword && content.includes(keyword));
+  const isReplyToRoxi = Boolean(msg.replyToId && lastRoxiMsgIdPerChannel.get(channel.id) === msg.replyToId);
+  const withinLinger = (now - (recentEngagement.get(channel.id) || 0)) < conf('lingerMs', channel);
+
+  const trigger = isReplyToRoxi ? 'reply'
+    : msg.mentioned ? 'mention'
+    : keywordTrigger ? 'keyword'
+    : withinLinger ? 'linger'
+    : 'organic';
+
+  // "shut up roxi" hushes unprompted talk for a while and is never answered itself
+  const shutUp = noteHumanFeedback({
+    channel, content: msg.content, replyToId: msg.replyToId, addressed: DIRECTED.has(trigger),
+  }, now);
+
+  const record = {
+    ts: now,
+    authorId: msg.authorId,
+    trigger,
+    ...windowStats(channel.id),
+    cooldownLeftMs: Math.max(0, lastRoxi + tunedCooldown(channel, now) - now),
+    sinceHumanMs: lastUserTs ? now - lastUserTs : null,
+    userGapLeftMs: Math.max(0, lastUserTs + conf('userGapMs', channel) - now),
+    roll: null,
+    probability: null,
+  };
+
+  let blocked = (shutUp && 'hushed')
+    || speakGate(channel, lastUserTs, now)
+    || (!canSend && 'no_send_perm')
+    || (!DIRECTED.has(trigger) && isHushed(channel, now) && 'hushed')
+    || (!DIRECTED.has(trigger) && msg.directedOnly && 'privacy')
+    || (trigger === 'organic' && momentumGate(channel));
+
+  if (!blocked && trigger === 'organic') {
+    record.probability = tunedProbability(channel, now);
+    record.roll = roll();
+    if (!(record.roll < record.probability)) blocked = 'probability';
+  }
+
+  return { ...record, reply: !blocked, gate: blocked || null };
+}
+
+/** Bookkeeping after Roxi actually sent something. */
+export function markReplied(channelId, sentId, now = Date.now()) {
+  lastReplyPerChannel.set(channelId, now);
+  recentEngagement.set(channelId, now);
+  lastRoxiMsgIdPerChannel.set(channelId, sentId);
+  noteRoxiMessage(channelId, sentId, now);
+}
@@ -0,0 +1,121 @@
+// Direct messages: who may chat with Roxi one-on-one, and how often.
+// The reply itself goes through the normal path in index.js (same providers and personas).
+import { loadJson, saveJson } from './store.js';
+import { conf } from './config.js';
+import { envMuted } from './mutes.js';
+import { clearChannel, forgetUser, DM_SCOPE } from './memory.js';
+import { t, languageFor } from './i18n.js';
+import { logId } from './privacy.js';
+import { log } from './utils.js';
+
+/**
+ * ROXI_DM_MODE: off | optin (default: people send "start" first) | open (until they send "stop").
+ * In-DM commands: start, stop, forget (wipes the DM summary and notes).
+ * A user also needs to share at least one server where the `dms` knob is on.
+ */
+const MODE = process.env.ROXI_DM_MODE || 'optin';
+export const DM_PERSONA = process.env.ROXI_DM_PERSONA || ''; // empty = the default persona
+const PER_HOUR = Number(process.env.ROXI_DM_PER_HOUR || 30);
+const MIN_GAP_MS = Number(process.env.ROXI_DM_MIN_GAP_MS || 3000);
+const WARN_EVERY_MS = 10 * 60_000;
+const MEMBERSHIP_TTL_MS = 10 * 60_000;
+
+const FILE = 'dms.json';
+const state = loadJson(FILE, {}); // userId -> { optedIn: true|false|null, prompted, at }
+
+const replies = new Map();    // userId -> [ts] of replies in the last hour
+const warned = new Map();     // userId -> ts of the last "slow down"
+const membership = new Map(); // userId -> { ok, at }
+
+const COMMAND_RE = /^[!/]?(start|stop|forget)[.!]?$/i;
+
+
+function setUser(userId, patch) {
+  state[userId] = { ...state[userId], ...patch, at: Date.now() };
+  saveJson(FILE, state);
+}
+
+async function sharesAllowingGuild(client, userId, now) {
+  const hit = membership.get(userId);
+  if (hit && now - hit.at < MEMBERSHIP_TTL_MS) return hit.ok;
+  let ok = false;
+  for (const g of client.guilds.cache.values()) {
+    if (!conf('dms', { guildId: g.id })) continue;
+    if (g.members.cache.has(userId) || await g.members.fetch(userId).catch(() => null)) { ok = true; break; }
+  }
+  membership.set(userId, { ok, at: now });
+  return ok;
+}
+
+/** null, 'burst' (inside MIN_GAP_MS of the last reply; it will see this message anyway) or 'hourly'. */
+function rateLimit(userId, now) {
+  const recent = (replies.get(userId) || []).filter(ts => now - ts < 3_600_000);
+  replies.set(userId, recent);
+  if (recent.length && now - recent.at(-1) < MIN_GAP_MS) return 'burst';
+  return recent.length >= PER_HOUR ? 'hourly' : null;
+}
+
+/**
+ * Decide what to do with one DM. Returns one of
+ *   { action: 'reply' }        → answer with the normal reply path (counts against the rate limit)
+ *   { action: 'say', text }    → send this fixed text (command acks, opt-in prompt, slow-down note)
+ *   { action: 'ignore', why }
+ */
+export async function dmGate(msg, client, now = Date.now()) {
+  const userId = msg.author.id;
+  if (MODE === 'off' || envMuted()) return { action: 'ignore', why: 'dms_off' };
+  const lang = languageFor(msg.channel); // whatever we last chatted in
+
+  // stop and forget always work, even for people Roxi would not chat with
+  const cmd = (msg.content || '').trim().match(COMMAND_RE)?.[1].toLowerCase();
+  if (cmd === 'stop') {
+    setUser(userId, { optedIn: false });
+    return { action: 'say', text: t(lang, 'dm.stopped') };
+  }
+  if (cmd === 'forget') {
+    clearChannel(msg.channel.id);
+    forgetUser(DM_SCOPE, userId);
+    log('info', { evt: 'dm_forget', user: logId(userId) });
+    return { action: 'say', text: t(lang, 'dm.forgot') };
+  }
+
+  if (!(await sharesAllowingGuild(client, userId, now))) return { action: 'ignore', why: 'no_guild' };
+  if (cmd === 'start') {
+    setUser(userId, { optedIn: true });
+    return { action: 'say', text: t(lang, 'dm.hello', { help: t(lang, 'dm.help') }) };
+  }
+  const optedIn = state[userId]?.optedIn;
+  if (optedIn === false) return { action: 'ignore', why: 'opted_out' };
+  if (MODE === 'optin' && optedIn !== true) {
+    if (state[userId]?.prompted) return { action: 'ignore', why: 'not_opted_in' };
+    setUser(userId, { optedIn: null, prompted: true });
+    return { action: 'say', text: t(lang, 'dm.invite', { help: t(lang, 'dm.help') }) };
+  }
+
+  const limit = rateLimit(userId, now);
+  if (limit === 'burst') return { action: 'ignore', why: 'too_fast' };
+  if (limit) {
+    if (now - (warned.get(userId) || 0) < WARN_EVERY_MS) return { action: 'ignore', why: 'rate_limited' };
+    warned.set(userId, now);
+    return { action: 'say', text: t(lang, 'dm.slowDown', { n: PER_HOUR }) };
+  }
+  replies.get(userId).push(now);
+  return { action: 'reply' };
+}
+
+/** What dms.json holds about a user (null if nothing). */
+export function dmUserData(userId) {
+  return state[userId] || null;
+}
+
+/** Forget a user's DM settings; someone who sent `stop` stays opted out. */
+export function forgetDmUser(userId) {
+  const had = userId in state;
+  if (state[userId]?.optedIn === false) state[userId] = { optedIn: false, at: Date.now() };
+  else delete state[userId];
+  replies.delete(userId);
+  warned.delete(userId);
+  membership.delete(userId);
+  saveJson(FILE, state);
+  return had;
+}
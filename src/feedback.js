@@ -0,0 +1,138 @@
+// Engagement feedback: how welcome Roxi is in each channel, learned from reactions,
+// replies and silence after her messages. Discord-free so the replay harness runs it too.
+import { loadJson, saveJson } from './store.js';
+import { conf } from './config.js';
+import { log } from './utils.js';
+
+/**
+ * Each channel keeps a score in [-1, 1] that drifts back to 0 (half-life HALF_LIFE_MS).
+ * The score moves the channel's reply probability and cooldown inside the admin bounds:
+ * +1 → replyProbabilityMax / cooldownMinMs, 0 → the configured values, -1 → the other ends.
+ * "shut up roxi" pins the score to -1 and hushes her (no unprompted talk) for HUSH_MS.
+ */
+const FILE = 'feedback.json';
+const state = loadJson(FILE, {}); // channelId -> { score, at, hushUntil, recent: [{ id, at, settled, replied }] }
+
+const HALF_LIFE_MS = Number(process.env.ROXI_FEEDBACK_HALF_LIFE_H || 12) * 3_600_000;
+const HUSH_MS = Number(process.env.ROXI_HUSH_MIN || 60) * 60_000;
+const SILENCE_MS = 5 * 60_000;    // nobody reacted or replied by then → ignored
+const TRACKED_MESSAGES = 20;      // Roxi messages per channel that still count
+
+const DELTA = { liked: 0.15, replied: 0.15, disliked: -0.25, ignored: -0.05 };
+
+const LIKES = new Set(['👍', '❤️', '😂', '🤣', '🔥', '💯', '👏', '😆', '🫶', '⭐']);
+const DISLIKES = new Set(['👎', '🙄', '😒', '🤫', '🔇', '🤐', '😴']);
+const SHUT_UP_RE = /\b(shut up|shut it|stfu|be quiet|quiet down|pipe down|go away|stop talking|nobody asked)\b/i;
+
+function entry(channelId) {
+  return (state[channelId] ??= { score: 0, at: 0, hushUntil: 0, recent: [] });
+}
+
+function decayed(e, now) {
+  if (!e?.score) return 0;
+  return e.score * 0.5 ** (Math.max(0, now - e.at) / HALF_LIFE_MS);
+}
+
+function nudge(channelId, signal, now) {
+  const e = entry(channelId);
+  e.score = Math.max(-1, Math.min(1, decayed(e, now) + DELTA[signal]));
+  e.at = now;
+  saveJson(FILE, state);
+  log('debug', { evt: 'feedback', channelId, signal, score: Number(e.score.toFixed(2)) });
+}
+
+/** Messages nobody answered within SILENCE_MS count as ignored. */
+function settleSilence(channelId, now) {
+  const e = state[channelId];
+  if (!e) return;
+  for (const m of e.recent) {
+    if (m.settled || now - m.at < SILENCE_MS) continue;
+    m.settled = true;
+    nudge(channelId, 'ignored', now);
+  }
+}
+
+/** Called whenever Roxi sends a message, so reactions and replies to it can be traced back. */
+export function noteRoxiMessage(channelId, msgId, now = Date.now()) {
+  settleSilence(channelId, now);
+  const e = entry(channelId);
+  e.recent.push({ id: msgId, at: now, settled: false });
+  if (e.recent.length > TRACKED_MESSAGES) e.recent.splice(0, e.recent.length - TRACKED_MESSAGES);
+  saveJson(FILE, state);
+}
+
+function trackedMessage(channelId, msgId) {
+  return msgId ? state[channelId]?.recent.find(m => m.id === msgId) : null;
+}
+
+/** A reaction was added to some message; only Roxi's tracked messages count. Returns the signal or null. */
+export function noteReaction(channel, msgId, emoji, now = Date.now()) {
+  const m = trackedMessage(channel.id, msgId);
+  if (!m) return null;
+  const signal = LIKES.has(emoji) ? 'liked' : DISLIKES.has(emoji) ? 'disliked' : null;
+  if (!signal || !conf('feedback', channel)) return null;
+  m.settled = true;
+  nudge(channel.id, signal, now);
+  return signal;
+}
+
+/**
+ * Read a human message for feedback. Returns true when it tells Roxi to shut up
+ * (the caller then stays quiet). addressed: mentioned, replied to or named Roxi.
+ * msg: { channel, content, replyToId, addressed }
+ */
+export function noteHumanFeedback({ channel, content, replyToId, addressed }, now = Date.now()) {
+  if (!conf('feedback', channel)) return false;
+  settleSilence(channel.id, now);
+  const m = trackedMessage(channel.id, replyToId);
+  if ((addressed || m) && SHUT_UP_RE.test(content || '')) {
+    const e = entry(channel.id);
+    e.score = -1;
+    e.at = now;
+    e.hushUntil = now + HUSH_MS;
+    if (m) m.settled = true;
+    saveJson(FILE, state);
+    log('info', { evt: 'feedback_hush', channel: channel.name, forMs: HUSH_MS });
+    return true;
+  }
+  if (m && !m.replied) { // the first reply counts; a back-and-forth is not ten votes
+    m.replied = true;
+    m.settled = true;
+    nudge(channel.id, 'replied', now);
+  }
+  return false;
+}
+
+export function isHushed(channel, now = Date.now()) {
+  return conf('feedback', channel) && (state[channel.id]?.hushUntil || 0) > now;
+}
+
+/** Current score in [-1, 1]; 0 when feedback is off or nothing is known. */
+export function talkativeness(channel, now = Date.now()) {
+  if (!conf('feedback', channel)) return 0;
+  return decayed(state[channel.id], now);
+}
+
+function toward(base, lo, hi, s) {
+  if (!s) return base;
+  const b = Math.min(hi, Math.max(lo, base));
+  return s >= 0 ? b + s * (hi - b) : b + s * (b - lo);
+}
+
+/** replyProbability for the channel after feedback. */
+export function tunedProbability(channel, now = Date.now()) {
+  return toward(conf('replyProbability', channel), conf('replyProbabilityMin', channel), conf('replyProbabilityMax', channel), talkativeness(channel, now));
+}
+
+/** channelCooldownMs for the channel after feedback (more welcome → shorter). */
+export function tunedCooldown(channel, now = Date.now()) {
+  return Math.round(toward(conf('channelCooldownMs', channel), conf('cooldownMinMs', channel), conf('cooldownMaxMs', channel), -talkativeness(channel, now)));
+}
+
+/** Forget what a channel taught Roxi (also lifts a hush). */
+export function resetFeedback(channelId) {
+  if (!(channelId in state)) return false;
+  delete state[channelId];
+  saveJson(FILE, state);
+  return true;
+}
@@ -0,0 +1,244 @@
+import http from 'node:http';
+import crypto from 'node:crypto';
+import { KNOBS, conf, lookupConf, setConf, resetConf } from './config.js';
+import { mute, unmute, guildKey, muteUntil } from './mutes.js';
+import { forceSleep } from './sleep.js';
+import { recentDecisions } from './trace.js';
+import { warmup } from './ai.js';
+import { providerStatus } from './providers/index.js';
+import { renderMetrics } from './metrics.js';
+import { recentOutbound } from './outbox.js';
+import { log, parseDuration } from './utils.js';
+
+/**
+ * Status + admin/observability HTTP API.
+ *
+ * Public:
+ *   GET  /status
+ * Token-protected (Authorization: Bearer $ROXI_ADMIN_TOKEN, or ?token=):
+ *   GET  /metrics                               Prometheus text format
+ *   GET  /decisions?channel=<id>&limit=<n>
+ *   GET  /api/outbox?channel=<id>&limit=<n>     recent outbound messages and how they ended
+ *   GET  /api/guilds                            guilds + channels with live state
+ *   GET  /api/channels/:id                      one channel + recent decisions
+ *   POST /api/channels/:id/mute   { duration? } e.g. "30m"; omit for until unmuted
+ *   POST /api/channels/:id/unmute
+ *   POST /api/channels/:id/sleep
+ *   POST /api/guilds/:id/mute     { duration? }
+ *   POST /api/guilds/:id/unmute
+ *   POST /api/warmup
+ *   GET  /api/config?channel=<id> | ?guild=<id>
+ *   PUT  /api/config              { key, value, scope: "server"|"channel", id }
+ *   DELETE /api/config            { key, scope, id }
+ * Without ROXI_ADMIN_TOKEN the protected routes answer 503.
+ */
+const ADMIN_TOKEN = process.env.ROXI_ADMIN_TOKEN || '';
+const MAX_BODY = 64 * 1024;
+
+const sha = (s) => crypto.createHash('sha256').update(String(s)).digest();
+
+function authorized(req, url) {
+  const header = req.headers.authorization || '';
+  const given = header.startsWith('Bearer ') ? header.slice(7) : url.searchParams.get('token');
+  return Boolean(given) && crypto.timingSafeEqual(sha(given), sha(ADMIN_TOKEN));
+}
+
+// Infinity (mute "until unmuted") would serialize as null
+const json = (res, code, obj) => {
+  res.writeHead(code, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(obj, (_, v) => (v === Infinity ? 'forever' : v)));
+};
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (c) => {
+      size += c.length;
+      if (size > MAX_BODY) { reject(Object.assign(new Error('body too large'), { status: 413 })); req.destroy(); return; }
+      chunks.push(c);
+    });
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8');
+      if (!raw) return resolve({});
+      try { resolve(JSON.parse(raw)); }
+      catch { reject(Object.assign(new Error('invalid JSON'), { status: 400 })); }
+    });
+    req.on('error', reject);
+  });
+}
+
+function untilFrom(body) {
+  if (!body.duration) return Infinity;
+  const ms = parseDuration(body.duration);
+  if (!ms) throw Object.assign(new Error('duration looks like 30m, 2h or 1d'), { status: 400 });
+  return Date.now() + ms;
+}
+
+/**
+ * opts: { port, host, client, mode, controls }
+ * controls.status(channel) supplies the live per-channel state (see index.js).
+ */
+export function startStatusServer({ port, host, client, mode, controls }) {
+  const textChannels = (guild) => [...guild.channels.cache.values()].filter(ch => ch?.isTextBased?.());
+
+  function channelState(ch) {
+    const s = controls.status(ch);
+    return {
+      id: ch.id,
+      name: ch.name,
+      guildId: ch.guildId,
+      sleeping: s.sleeping,
+      mutedUntil: s.channelMuteUntil || null,
+      window: { count: s.count, speakers: s.speakers },
+      cooldownMs: s.cooldownMs,
+      feedback: { talkativeness: Number(s.talkativeness.toFixed(3)), probability: s.probability, cooldownMs: s.cooldownTotalMs, hushed: s.hushed },
+      lastReplyAt: s.lastReplyAt,
+      lastHumanAt: s.lastHumanAt,
+    };
+  }
+
+  function channelById(id) {
+    const ch = client.channels.cache.get(id);
+    if (!ch?.isTextBased?.() || !ch.guildId) throw Object.assign(new Error('unknown channel'), { status: 404 });
+    return ch;
+  }
+
+  function guildById(id) {
+    const g = client.guilds.cache.get(id);
+    if (!g) throw Object.assign(new Error('unknown guild'), { status: 404 });
+    return g;
+  }
+
+  function configFor(scopeTarget) {
+    return Object.keys(KNOBS).map(key => ({ key, ...lookupConf(key, scopeTarget), help: KNOBS[key].help }));
+  }
+
+  function scopeFrom(body) {
+    if (!(body.key in KNOBS)) throw Object.assign(new Error(`unknown key "${body.key}"`), { status: 400 });
+    if (body.scope === 'server') guildById(body.id);
+    else if (body.scope === 'channel') channelById(body.id);
+    else throw Object.assign(new Error('scope must be server or channel'), { status: 400 });
+    return { level: body.scope, id: body.id };
+  }
+
+  // [method, pattern, handler({ url, params, body }) → [status, payload]]
+  const routes = [
+    ['GET', /^\/metrics$/, () => [200, renderMetrics(), 'text/plain; version=0.0.4']],
+    ['GET', /^\/decisions$/, ({ url }) => {
+      const channelId = url.searchParams.get('channel');
+      if (!channelId) return [400, { error: 'channel query param required' }];
+      const limit = Math.min(Number(url.searchParams.get('limit')) || 20, 200);
+      return [200, { channel: channelId, decisions: recentDecisions(channelId, limit) }];
+    }],
+    ['GET', /^\/api\/outbox$/, ({ url }) => {
+      const limit = Math.min(Number(url.searchParams.get('limit')) || 20, 200);
+      return [200, { outbound: recentOutbound(url.searchParams.get('channel'), limit) }];
+    }],
+    ['GET', /^\/api\/guilds$/, () => [200, [...client.guilds.cache.values()].map(g => ({
+      id: g.id,
+      name: g.name,
+      mutedUntil: muteUntil(guildKey(g.id)) || null,
+      channels: textChannels(g).map(channelState),
+    }))]],
+    ['GET', /^\/api\/channels\/(\d+)$/, ({ params, url }) => {
+      const ch = channelById(params[0]);
+      const limit = Math.min(Number(url.searchParams.get('limit')) || 20, 200);
+      return [200, { ...channelState(ch), decisions: recentDecisions(ch.id, limit) }];
+    }],
+    ['POST', /^\/api\/channels\/(\d+)\/mute$/, ({ params, body }) => {
+      const ch = channelById(params[0]);
+      const until = untilFrom(body);
+      mute(ch.id, until);
+      return [200, { ok: true, channel: ch.id, mutedUntil: until }];
+    }],
+    ['POST', /^\/api\/channels\/(\d+)\/unmute$/, ({ params }) => {
+      const ch = channelById(params[0]);
+      unmute(ch.id);
+      return [200, { ok: true, channel: ch.id }];
+    }],
+    ['POST', /^\/api\/channels\/(\d+)\/sleep$/, ({ params }) => {
+      const ch = channelById(params[0]);
+      forceSleep(ch.id);
+      return [200, { ok: true, channel: ch.id }];
+    }],
+    ['POST', /^\/api\/guilds\/(\d+)\/mute$/, ({ params, body }) => {
+      const g = guildById(params[0]);
+      const until = untilFrom(body);
+      mute(guildKey(g.id), until);
+      return [200, { ok: true, guild: g.id, mutedUntil: until }];
+    }],
+    ['POST', /^\/api\/guilds\/(\d+)\/unmute$/, ({ params }) => {
+      const g = guildById(params[0]);
+      unmute(guildKey(g.id));
+      return [200, { ok: true, guild: g.id }];
+    }],
+    ['POST', /^\/api\/warmup$/, async () => [200, { ok: await warmup() }]],
+    ['GET', /^\/api\/config$/, ({ url }) => {
+      const channelId = url.searchParams.get('channel');
+      const guildId = url.searchParams.get('guild');
+      if (channelId) return [200, { channel: channelId, config: configFor(channelById(channelId)) }];
+      if (guildId) return [200, { guild: guildId, config: configFor({ guildId: guildById(guildId).id }) }];
+      return [200, { config: configFor() }];
+    }],
+    ['PUT', /^\/api\/config$/, ({ body }) => {
+      const scope = scopeFrom(body);
+      try {
+        const raw = Array.isArray(body.value) ? body.value.join(',') : String(body.value ?? '');
+        const value = setConf(body.key, raw, scope);
+        return [200, { ok: true, key: body.key, value, scope }];
+      } catch (e) {
+        return [400, { error: e.message }];
+      }
+    }],
+    ['DELETE', /^\/api\/config$/, ({ body }) => {
+      const scope = scopeFrom(body);
+      resetConf(body.key, scope);
+      return [200, { ok: true, key: body.key, scope }];
+    }],
+  ];
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      if (req.method === 'GET' && url.pathname === '/status') {
+        return json(res, 200, {
+          ok: true,
+          bot: client.user?.tag || null,
+          mode,
+          guilds: client.guilds.cache.size,
+          sleepAfterMin: conf('sleepAfterMin'),
+          momentum: { lookbackMin: conf('momentumMin'), minMsgs: conf('momentumMsgs'), minSpeakers: conf('minSpeakers') },
+          providers: providerStatus(),
+          uptimeSec: Math.floor(process.uptime()),
+          ts: new Date().toISOString(),
+        });
+      }
+
+      const matches = routes.filter(([, re]) => re.test(url.pathname));
+      if (!matches.length) { res.writeHead(404); return res.end(); }
+      if (!ADMIN_TOKEN) return json(res, 503, { error: 'admin API disabled (set ROXI_ADMIN_TOKEN)' });
+      if (!authorized(req, url)) return json(res, 401, { error: 'unauthorized' });
+
+      const route = matches.find(([method]) => method === req.method);
+      if (!route) return json(res, 405, { error: 'method not allowed' });
+
+      const [method, re, handler] = route;
+      const params = url.pathname.match(re).slice(1);
+      const body = method === 'GET' ? {} : await readBody(req);
+      const [status, payload, type] = await handler({ url, params, body });
+      if (type) {
+        res.writeHead(status, { 'content-type': type });
+        return res.end(payload);
+      }
+      if (method !== 'GET') log('info', { evt: 'admin_api', method, path: url.pathname, status });
+      return json(res, status, payload);
+    } catch (e) {
+      if (!e.status) log('error', { evt: 'admin_api_error', path: url.pathname, err: e?.message });
+      return json(res, e.status || 500, { error: e.status ? e.message : 'internal error' });
+    }
+  });
+
+  server.listen(port, host, () => log('info', { evt: 'status_listen', port, host: host || '*' }));
+  return server;
+}
@@ -0,0 +1,112 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { conf, LANGUAGES } from './config.js';
+import { sharedMap } from './state/index.js';
+import { log } from './utils.js';
+
+// Languages: system-message catalogs (one JSON file per language in locales/, or
+// ROXI_LOCALE_DIR) and per-channel language detection for replies.
+export const LOCALE_DIR = path.resolve(
+  process.env.ROXI_LOCALE_DIR || fileURLToPath(new URL('../locales/', import.meta.url))
+);
+export const DEFAULT_LANGUAGE = LANGUAGES[process.env.ROXI_DEFAULT_LANGUAGE] ? process.env.ROXI_DEFAULT_LANGUAGE : 'en';
+
+function loadCatalog(code) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(LOCALE_DIR, `${code}.json`), 'utf8'));
+  } catch (e) {
+    log('warn', { evt: 'locale_load_fail', lang: code, err: e.message });
+    return {};
+  }
+}
+
+const catalogs = Object.fromEntries(Object.keys(LANGUAGES).map(code => [code, loadCatalog(code)]));
+
+/** Catalog entry for `key` in `lang`, falling back to English; strings get {var} filled in. */
+export function t(lang, key, vars = {}) {
+  const entry = catalogs[lang]?.[key] ?? catalogs.en[key];
+  if (entry === undefined) {
+    log('warn', { evt: 'locale_missing', lang, key });
+    return key;
+  }
+  if (typeof entry !== 'string') return entry;
+  return entry.replace(/\{(\w+)\}/g, (m, k) => (k in vars ? String(vars[k]) : m));
+}
+
+export const languageName = (lang) => LANGUAGES[lang] || LANGUAGES[DEFAULT_LANGUAGE];
+
+/** A Discord locale ("ro", "en-US") if Roxi speaks it, else null. */
+export function supportedLocale(locale) {
+  const code = String(locale || '').split('-')[0].toLowerCase();
+  return LANGUAGES[code] ? code : null;
+}
+
+/* ---------- detection ---------- */
+// Common short words that (nearly) only occur in one of the two. Words both use ("a", "in",
+// "are", "am") are left out; Romanian diacritics count double.
+const WORDS = {
+  ro: new Set(('si și nu da ce e este sunt esti ești eu tu el ea noi voi care cu pe la de din un o mai ' +
+    'foarte bine acum azi maine mâine asta aia ca că dar sau pentru cum unde cand când vreau poti poți ' +
+    'pot trebuie hai mersi salut buna bună deci doar fac face faci avem aici acolo stiu știu nimic ceva ' +
+    'cine vine merge mergem ba bă asa așa pai păi mult putin puțin ma mă te ne lor lui imi îmi iti îți').split(' ')),
+  en: new Set(('the and is you i it to of what that this with for not but have has was were just do does ' +
+    "don't dont can my your we they so yeah yes how why when where about like get got be if will would " +
+    "me he she im i'm it's its there their know think want going gonna really who all out up on at an").split(' ')),
+};
+const DIACRITICS = /[ăâîșşțţ]/gi;
+
+/** 'en', 'ro' or null (too short or too mixed to tell) for one message. */
+export function guessLanguage(text) {
+  const lower = String(text || '').toLowerCase();
+  const score = { ro: (lower.match(DIACRITICS)?.length || 0) * 2, en: 0 };
+  for (const w of lower.split(/[^\p{L}']+/u)) {
+    if (WORDS.ro.has(w)) score.ro++;
+    if (WORDS.en.has(w)) score.en++;
+  }
+  const [top, other] = score.ro > score.en ? ['ro', 'en'] : ['en', 'ro'];
+  return score[top] >= 2 && score[top] >= score[other] * 1.5 ? top : null;
+}
+
+/** Majority language of a set of messages: { lang, share, votes } (lang null when none tell). */
+export function detectLanguage(texts) {
+  const votes = { en: 0, ro: 0 };
+  for (const text of texts) {
+    const lang = guessLanguage(text);
+    if (lang) votes[lang]++;
+  }
+  const total = votes.en + votes.ro;
+  if (!total) return { lang: null, share: 0, votes: 0 };
+  const lang = votes.ro > votes.en ? 'ro' : 'en';
+  return { lang, share: votes[lang] / total, votes: total };
+}
+
+// A channel keeps its language until the recent chat clearly moved to the other one,
+// so a code-switching chat does not flip Roxi on every message.
+const FIRST_VOTES = 2;
+const FIRST_SHARE = 0.6;
+const SWITCH_VOTES = 4;
+const SWITCH_SHARE = 0.7;
+
+const current = sharedMap('language'); // channelId -> language code (auto mode only)
+
+/**
+ * The language to use in a channel: the configured one, or with "auto" the channel's
+ * detected language. texts: recent human messages to update the detection with.
+ */
+export function languageFor(channel, texts = null) {
+  const setting = conf('language', channel);
+  if (LANGUAGES[setting]) return setting;
+  const id = channel?.id;
+  if (!id) return DEFAULT_LANGUAGE;
+  const was = current.get(id);
+  if (texts?.length) {
+    const { lang, share, votes } = detectLanguage(texts);
+    const enough = was ? votes >= SWITCH_VOTES && share >= SWITCH_SHARE : votes >= FIRST_VOTES && share >= FIRST_SHARE;
+    if (lang && lang !== was && enough) {
+      current.set(id, lang);
+      log('info', { evt: 'language_switch', channelId: id, from: was || null, to: lang, votes, share: Number(share.toFixed(2)) });
+    }
+  }
+  return current.get(id) || DEFAULT_LANGUAGE;
+}
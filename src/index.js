@@ -1,21 +1,38 @@
 import 'dotenv/config';
 import { Client, GatewayIntentBits, Partials, Events } from 'discord.js';
-import http from 'node:http';
 
-import { handleTextCommand } from './commands.js';
+import { registerCommands, handleInteraction } from './commands.js';
+import { conf } from './config.js';
 import { generateReply, warmup, aiHealth } from './ai.js';
+import { providerStatus } from './providers/index.js';
+import { windowStats, isChannelSleeping, lastHumanActivity } from './sleep.js';
 import {
-  recordActivity,
-  windowStats,
-  channelIsActive,
-  isChannelSleeping,
-  lastHumanActivity,
-} from './sleep.js';
+  lastReplyPerChannel,
+  sleepOpts,
+  onHumanMessage,
+  markReplied,
+} from './decide.js';
+import { muteUntil, guildKey, envMuted } from './mutes.js';
+import { traceDecision, traceOutcome } from './trace.js';
+import { startStatusServer } from './http.js';
+import { moderateInput, moderateOutput } from './moderation.js';
+import { startScheduler } from './scheduler.js';
+import { startProactive, noteHumanForProactive } from './proactive.js';
+import { noteReaction, talkativeness, tunedProbability, tunedCooldown, isHushed } from './feedback.js';
+import { buildContext } from './context.js';
+import { createLiveReply, sendChunks } from './stream.js';
+import { post } from './outbox.js';
+import { t, languageFor } from './i18n.js';
+import { counter } from './metrics.js';
+import { noteMessage, pendingCount, refreshSummary, addNote, recall, DM_SCOPE } from './memory.js';
+import { dmGate, DM_PERSONA } from './dm.js';
+import { onVoiceStateUpdate } from './voice/index.js';
+import { excludedFromContext, directedOnly, logId, modelName, trackedId } from './privacy.js';
+import { exportUser, deleteUser } from './userdata.js';
+import { hydrateState, withLock, stateBackend, SHARD_ID } from './state/index.js';
 import {
   log,
-  sanitizeInput,
   withTimeout,
-  rollProbability,
   canSendInChannel,
   parseIdList,
   onceWithRetry,
@@ -26,99 +43,179 @@ const TOKEN = process.env.DISCORD_TOKEN;
 if (!TOKEN) { console.error('❌ Missing DISCORD_TOKEN in .env'); process.exit(1); }
 
 const MODE = process.env.ROXI_MODE || 'dev';
-const STATUS_PORT = Number(process.env.STATUS_PORT || 0);
+// each shard process serves status on its own port: STATUS_PORT + shard id
+const BASE_STATUS_PORT = Number(process.env.STATUS_PORT || 0);
+const STATUS_PORT = BASE_STATUS_PORT > 0 ? BASE_STATUS_PORT + (SHARD_ID ?? 0) : 0;
 
-// Sleep/wake
-const SLEEP_AFTER_MIN     = Number(process.env.ROXI_SLEEP_AFTER_MIN || 60);
-const WAKE_MSG_ENABLED    = (process.env.ROXI_WAKE_MSG_ENABLED ?? '0') === '1';
-const WAKE_ANNOUNCE_SEC   = Number(process.env.ROXI_WAKE_ANNOUNCE_SEC || 120);
-
-// Momentum / cadence
-const MOMENTUM_LOOKBACK_MIN = Number(process.env.ROXI_MOMENTUM_MIN || 20);
-const MOMENTUM_MIN_MSGS     = Number(process.env.ROXI_MOMENTUM_MSGS || 10);
-const MIN_DISTINCT_SPEAKERS = Number(process.env.ROXI_MIN_SPEAKERS || 3);
-
-const MIN_SPEAKERS_PUBLIC = Number(process.env.ROXI_MIN_SPEAKERS_PUBLIC || 3);
-const MIN_SPEAKERS_THREAD = Number(process.env.ROXI_MIN_SPEAKERS_THREAD || 3);
-
-const MIN_REPLY_GAP_MS   = Number(process.env.ROXI_CHANNEL_COOLDOWN_MS || 1000 * 60 * 3);
-const USER_GAP_MS        = Number(process.env.ROXI_USER_GAP_MS || 1000 * 20);
-const MAX_CONTEXT_MSGS   = Number(process.env.ROXI_MAX_CONTEXT_MSGS || 25);
-const MAX_INPUT_CHARS    = Number(process.env.ROXI_MAX_INPUT_CHARS || 800);
-const REPLY_PROBABILITY  = Number(process.env.ROXI_REPLY_PROBABILITY || 0.33);
-
-// Proactivity
+// Proactivity (the engine itself is in proactive.js)
 const CORE_USER_IDS = parseIdList(process.env.ROXI_CORE_USERS);
-const PROACTIVE_INTERVAL_MS = Number(process.env.ROXI_PROACTIVE_INTERVAL_MS || 90000);
-const PROACTIVE_PROBABILITY = Number(process.env.ROXI_PROACTIVE_PROBABILITY || 0.15);
-const KEYWORD = (process.env.ROXI_KEYWORD || 'roxi').toLowerCase();
 
 // Warm-up
 const WARMUP_ENABLED   = (process.env.ROXI_WARMUP_ENABLED ?? '1') === '1';
 const WARMUP_DELAY_MS  = Number(process.env.ROXI_WARMUP_DELAY_MS || 1500);
 const WARMUP_INTERVAL  = Number(process.env.ROXI_WARMUP_INTERVAL_MIN || 15) * 60 * 1000;
-
-// Linger window (no re-mention needed)
-const LINGER_MS = Number(process.env.ROXI_LINGER_MS || 120000); // 2 minutes
+const AI_HEALTH_INTERVAL_MS = Number(process.env.ROXI_AI_HEALTH_INTERVAL_MS || 60000);
 
 /* ========== State ========== */
-let HARD_MUTE = process.env.ROXI_MUTE === '1';
-const lastReplyPerChannel = new Map(); // channelId -> ts
-const inFlight = new Map();            // channelId -> boolean
 let warmupInFlight = false;
 
-// Conversational state
-const recentEngagement = new Map();            // channelId -> timestamp of last engagement window start
-const lastRoxiMsgIdPerChannel = new Map();     // channelId -> last sent message id
-
-// Optional channel allowlist (leave empty for all)
-const ALLOWED_CHANNELS = (process.env.ROXI_CHANNELS || '')
-  .split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+// Conversational state (reply timestamps, linger window, last message ids) lives in decide.js,
+// backed by the shared state store (state/index.js) like the channel lock below
 
 /* ========== Helpers ========== */
-function allowedByChannelList(channel) {
-  if (ALLOWED_CHANNELS.length === 0) return true;
-  return ALLOWED_CHANNELS.includes(channel.name.toLowerCase());
+async function maybeAnnounceWake(channel) {
+  if (!conf('wakeMsgEnabled', channel)) return;
+  const last = lastHumanActivity.get(channel.id) || 0;
+  const justNow = Date.now() - last <= conf('wakeAnnounceSec', channel) * 1000;
+  if (justNow) await post(channel, t(languageFor(channel), 'wake'), { reason: 'wake', maxAgeMs: 30_000 });
+}
+
+// one reply at a time per channel, across shards and processes; expires if its holder dies
+async function withChannelLock(channelId, fn) {
+  return withLock(`reply:${channelId}`, LONG_REPLY_TIMEOUT_MS + 30_000, fn);
 }
 
-function canEvenConsiderSpeaking(channel, lastUserTs) {
-  if (HARD_MUTE) return false;
-  if (!allowedByChannelList(channel)) return false;
-  if (isChannelSleeping(channel.id, { SLEEP_AFTER_MIN })) return false;
-  const now = Date.now();
-  const last = lastReplyPerChannel.get(channel.id) || 0;
-  return (now - last >= MIN_REPLY_GAP_MS) && (now - lastUserTs >= USER_GAP_MS);
+function memoryFor(channel, recent) {
+  return conf('memory', channel) ? recall(channel, recent) : '';
 }
 
-function conversationEligible(channel) {
-  const isThread = channel.isThread?.() ?? false;
-  const { speakers } = windowStats(channel.id);
+const repliesTotal = counter('roxi_replies_total', 'Reply attempts by reason and outcome');
+
+const REPLY_TIMEOUT_MS = 26000;
+const LONG_REPLY_TIMEOUT_MS = Number(process.env.ROXI_LONG_TIMEOUT_MS || 60000) + 2000;
+const DIRECT_TRIGGERS = new Set(['mention', 'reply', 'dm']); // may get a long answer
+const TOOL_TRIGGERS = new Set(['mention', 'reply', 'keyword', 'dm']); // addressed on purpose → may use tools
+const UNPROMPTED = new Set(['organic', 'linger', 'proactive']); // leaves out people who opted out of those
 
-  if (!isThread && speakers < MIN_SPEAKERS_PUBLIC) return false;
-  if (isThread && speakers < MIN_SPEAKERS_THREAD) return false;
+// a reply still unsent after this long, or after this many new human messages, is dropped
+const STALE_REPLY_MS = Number(process.env.ROXI_STALE_REPLY_MS || 120_000);
+const STALE_REPLY_MSGS = Number(process.env.ROXI_STALE_REPLY_MSGS || 6);
 
-  return channelIsActive(channel.id, {
-    MOMENTUM_LOOKBACK_MIN,
-    MOMENTUM_MIN_MSGS,
-    MIN_DISTINCT_SPEAKERS,
+const REMEMBER_RE = /\bremember\s+(?:that\s+)?(.{3,})/i;
+
+const channelLabel = (channel) => channel.guildId ? `#${channel.name}` : `#dm-${channel.recipient?.username || 'someone'}`;
+
+/**
+ * Feed a human message to long-term memory: the channel (or DM) summary buffer, plus
+ * "roxi remember I hate pineapple pizza" notes about the speaker when Roxi was addressed.
+ * People who opted out of context (privacy.js) only get the notes they ask for.
+ */
+function rememberMessage(msg, displayName, addressed) {
+  const channel = msg.channel;
+  const { text: cleanText } = moderateInput(msg.cleanContent || '', channel, {
+    maxLen: conf('maxInputChars', channel),
+    audit: { msgId: msg.id, authorId: msg.author.id },
   });
-}
+  if (!conf('memory', channel)) return;
+  if (!excludedFromContext(msg.author.id)) {
+    noteMessage(channel.id, modelName(msg.author.id, displayName), cleanText, msg.author.id);
+    if (pendingCount(channel.id) >= conf('memorySummaryEvery', channel)) refreshSummary(channel.id);
+  }
 
-async function maybeAnnounceWake(channel) {
-  if (!WAKE_MSG_ENABLED) return;
-  const last = lastHumanActivity.get(channel.id) || 0;
-  const justNow = Date.now() - last <= WAKE_ANNOUNCE_SEC * 1000;
-  if (justNow) { try { await channel.send("☀️ I'm awake! What's going on?"); } catch {} }
+  const remember = addressed && cleanText.match(REMEMBER_RE);
+  const noteText = remember ? remember[1].slice(0, 200).trim() : '';
+  if (noteText) {
+    addNote(msg.guildId ?? DM_SCOPE, msg.author.id, displayName, noteText, msg.author.id);
+    log('info', { evt: 'memory_note', channel: channelLabel(channel), user: logId(msg.author.id) });
+  }
 }
 
-async function withChannelLock(channelId, fn) {
-  if (inFlight.get(channelId)) return;
-  inFlight.set(channelId, true);
-  try { return await fn(); }
-  finally { inFlight.delete(channelId); }
+/**
+ * Fetch context, generate and send one reply under the channel lock.
+ * anchor: the message being answered (null for proactive messages).
+ * Returns the outcome: sent | empty | refused | busy | no_context | stale | send_failed
+ */
+async function replyIn(channel, reason, anchor = null) {
+  const startedAt = Date.now();
+  const ctx = await buildContext(channel, anchor, { unprompted: UNPROMPTED.has(reason) });
+  const trimmed = ctx.messages;
+  if (trimmed.length === 0) return 'no_context';
+
+  const long = DIRECT_TRIGGERS.has(reason) && conf('longReplies', channel);
+  const language = languageFor(channel, trimmed.filter(m => !m.isBot).map(m => m.content));
+  // conversation moved on since the anchor → reply to it explicitly so the thread of talk is clear
+  const movedOn = Boolean(ctx.target && trimmed.at(-1)?.id !== ctx.target.id);
+  const replyTo = movedOn ? ctx.target.id : null;
+
+  const outcome = await withChannelLock(channel.id, async () => {
+    let typing = true;
+    const pump = setInterval(() => { if (typing) channel.sendTyping().catch(()=>{}); }, 4000);
+    channel.sendTyping().catch(()=>{});
+
+    const live = conf('streaming', channel)
+      ? createLiveReply(channel, {
+        replyTo, reason, check: (text, final) => moderateOutput(text, channel, { partial: !final }),
+        since: startedAt, maxAgeMs: STALE_REPLY_MS, maxNewMessages: STALE_REPLY_MSGS,
+      })
+      : null;
+
+    try {
+      const reply = await withTimeout(
+        onceWithRetry(() => {
+          live?.onReset();
+          return generateReply({
+            channel: channelLabel(channel),
+            recent: {
+              ...ctx,
+              ...windowStats(channel.id),
+              momentum: conf('momentumMin', channel),
+            },
+            memory: memoryFor(channel, trimmed),
+            care: [...trimmed.slice(-6), ...ctx.chain].some(m => m.flags.includes('selfharm')),
+            persona: (!channel.guildId && DM_PERSONA) || conf('persona', channel),
+            mode: MODE,
+            long,
+            language,
+            quality: conf('qualityGuard', channel) ? { channelId: channel.id } : null,
+            stream: live,
+            tools: TOOL_TRIGGERS.has(reason) && conf('tools', channel)
+              ? { channel, userId: ctx.target?.uid, guildId: channel.guildId }
+              : null,
+          });
+        }),
+        long ? LONG_REPLY_TIMEOUT_MS : REPLY_TIMEOUT_MS
+      );
+
+      let sent;
+      if (live) {
+        const done = await live.finish(reply?.trim() || '');
+        if (done.refused) return 'refused';
+        if (done.stale) return 'stale';
+        sent = done.sent;
+        if (done.failed && !sent.length) return 'send_failed';
+      } else {
+        if (!reply || !reply.trim()) return 'empty';
+        const checked = moderateOutput(reply.trim(), channel);
+        if (checked.action === 'refuse') return 'refused';
+        const out = await sendChunks(channel, checked.text, {
+          replyTo, reason, since: startedAt, maxAgeMs: STALE_REPLY_MS, maxNewMessages: STALE_REPLY_MSGS,
+        });
+        if (out.state === 'stale') return 'stale';
+        sent = out.messages; // a partly delivered reply still counts as Roxi having spoken
+        if (!sent.length) return 'send_failed';
+      }
+      if (!sent.length) return 'empty';
+
+      markReplied(channel.id, sent.at(-1).id);
+      log('info', {
+        evt: 'send', reason, channel: channelLabel(channel), bytes: reply.length, parts: sent.length,
+        recentMsgs: trimmed.length, chain: ctx.chain.length, threaded: movedOn, long, streamed: Boolean(live),
+      });
+      return 'sent';
+    } catch (err) {
+      await live?.finish(); // drop the typing cursor from whatever made it out
+      throw err;
+    } finally {
+      typing = false;
+      clearInterval(pump);
+    }
+  });
+  repliesTotal.inc({ reason, outcome: outcome ?? 'busy' });
+  return outcome ?? 'busy';
 }
 
 /* ========== Presence helpers ========== */
+// Per process on purpose: a guild's presences only reach the shard that owns it
 const coreOnlineByGuild = new Map(); // guildId -> Set(userId) of online core users
 
 function updateCorePresence(guild) {
@@ -145,28 +242,40 @@ const client = new Client({
     GatewayIntentBits.MessageContent,
     GatewayIntentBits.GuildMembers,
     GatewayIntentBits.GuildPresences,
+    GatewayIntentBits.GuildMessageReactions,
+    GatewayIntentBits.DirectMessages,
+    GatewayIntentBits.GuildVoiceStates,
   ],
-  partials: [Partials.Channel],
+  // DM channels are uncached until used; reactions on messages sent before a restart arrive as partials
+  partials: [Partials.Channel, Partials.Message, Partials.Reaction],
 });
 
 client.once(Events.ClientReady, async () => {
   log('info', {
     msg: `Roxi online as ${client.user.tag}`,
     mode: MODE,
-    sleepAfterMin: SLEEP_AFTER_MIN,
+    shard: SHARD_ID,
+    state: stateBackend,
+    sleepAfterMin: conf('sleepAfterMin'),
     momentum: {
-      lookbackMin: MOMENTUM_LOOKBACK_MIN,
-      minMsgs: MOMENTUM_MIN_MSGS,
-      minSpeakers: MIN_DISTINCT_SPEAKERS
+      lookbackMin: conf('momentumMin'),
+      minMsgs: conf('momentumMsgs'),
+      minSpeakers: conf('minSpeakers')
     },
     cadence: {
-      channelCooldownMs: MIN_REPLY_GAP_MS,
-      userGapMs: USER_GAP_MS,
-      probability: REPLY_PROBABILITY
+      channelCooldownMs: conf('channelCooldownMs'),
+      userGapMs: conf('userGapMs'),
+      probability: conf('replyProbability')
     },
-    allowChannels: ALLOWED_CHANNELS.length ? ALLOWED_CHANNELS : 'ALL',
+    allowChannels: conf('channels').length ? conf('channels') : 'ALL',
   });
 
+  for (const g of client.guilds.cache.values()) {
+    registerCommands(g).catch(e => log('warn', { evt: 'commands_register_fail', guild: g.id, err: e?.message }));
+  }
+
+  startScheduler(client);
+
   try {
     for (const g of client.guilds.cache.values()) {
       await g.members.fetch({ withPresences: true }).catch(()=>{});
@@ -207,262 +316,156 @@ client.once(Events.ClientReady, async () => {
     }
   }
 
-  startProactiveTicker();
-});
-
-/* ========== Proactive ticker ========== */
-function eligibleChannelsForProactive(guild) {
-  const channels = [];
-  for (const ch of guild.channels.cache.values()) {
-    if (ch?.isTextBased?.() && !ch.isThread?.()) {
-      const lastUserTs = lastHumanActivity.get(ch.id) || 0;
-      if (!canEvenConsiderSpeaking(ch, lastUserTs)) continue;
-      if (!conversationEligible(ch)) continue;
-      if (!canSendInChannel(ch, client.user)) continue;
-      channels.push(ch);
-    }
+  if (AI_HEALTH_INTERVAL_MS > 0) {
+    setInterval(async () => {
+      const ok = await aiHealth();
+      if (!ok) log('warn', { evt: 'ai_health', ok, providers: providerStatus().map(p => `${p.name}:${p.breaker}`) });
+    }, AI_HEALTH_INTERVAL_MS);
   }
-  return channels;
-}
 
-function startProactiveTicker() {
-  if (PROACTIVE_INTERVAL_MS <= 0) return;
-  setInterval(async () => {
-    try {
-      for (const guild of client.guilds.cache.values()) {
-        if (!anyCoreOnline(guild)) continue;
-        const chans = eligibleChannelsForProactive(guild);
-        for (const ch of chans) {
-          if (Math.random() > PROACTIVE_PROBABILITY) continue;
-
-          const history = await ch.messages.fetch({ limit: Math.min(50, MAX_CONTEXT_MSGS) }).catch(() => null);
-          const sorted = history ? [...history.values()].sort((a,b)=>a.createdTimestamp-b.createdTimestamp) : [];
-          const trimmed = sorted.slice(-MAX_CONTEXT_MSGS).map(m => ({
-            author: m.author.bot ? 'bot' : (m.member?.displayName || m.author.username),
-            content: sanitizeInput(m.cleanContent || '', MAX_INPUT_CHARS),
-            ts: m.createdTimestamp,
-            isBot: m.author.bot,
-          })).filter(m => m.content || !m.isBot);
-
-          if (trimmed.length === 0) continue;
-
-          await withChannelLock(ch.id, async () => {
-            let typing = true;
-            const pump = setInterval(() => { if (typing) ch.sendTyping().catch(()=>{}); }, 4000);
-            ch.sendTyping().catch(()=>{});
-
-            try {
-              const reply = await withTimeout(
-                onceWithRetry(() => generateReply({
-                  channel: `#${ch.name}`,
-                  recent: { messages: trimmed, ...windowStats(ch.id), momentum: MOMENTUM_LOOKBACK_MIN },
-                  mode: MODE,
-                })),
-                26000
-              );
-
-              if (reply && reply.trim()) {
-                const sent = await ch.send(reply.trim());
-                lastReplyPerChannel.set(ch.id, Date.now());
-                recentEngagement.set(ch.id, Date.now());
-                lastRoxiMsgIdPerChannel.set(ch.id, sent.id);
-                log('info', { evt: 'send', reason: 'proactive', channel: ch.name });
-              }
-            } finally {
-              typing = false;
-              clearInterval(pump);
-            }
-          });
-        }
-      }
-    } catch (e) {
-      log('error', { evt: 'proactive_error', err: e?.message || String(e) });
-    }
-  }, PROACTIVE_INTERVAL_MS);
-}
+  startProactive(client, { present: anyCoreOnline, chime: (ch) => replyIn(ch, 'proactive') });
+});
 
 /* ========== Presence events ========== */
 client.on(Events.PresenceUpdate, (_, newPresence) => {
   try { updateCorePresence(newPresence?.guild); } catch {}
 });
-client.on(Events.GuildCreate, (g) => { try { updateCorePresence(g); } catch {} });
+client.on(Events.GuildCreate, (g) => {
+  try { updateCorePresence(g); } catch {}
+  registerCommands(g).catch(e => log('warn', { evt: 'commands_register_fail', guild: g.id, err: e?.message }));
+});
 client.on(Events.GuildMemberAdd, (m) => { try { updateCorePresence(m.guild); } catch {} });
 
-/* ========== Commands wrapper ========== */
-async function handleAdmin(msg) {
-  const res = await handleTextCommand(msg, { HARD_MUTE });
-  if (res === false) return false;
-  if (res === true) return true;
-  if (res?.HARD_MUTE !== undefined) { HARD_MUTE = res.HARD_MUTE; return true; }
-  return false;
-}
+/* ========== Voice ========== */
+client.on(Events.VoiceStateUpdate, (oldState, newState) => {
+  try {
+    onVoiceStateUpdate(oldState, newState);
+  } catch (err) {
+    log('error', { evt: 'voice_state_error', err: err?.message || String(err) });
+  }
+});
+
+/* ========== Reactions (feedback) ========== */
+client.on(Events.MessageReactionAdd, (reaction, user) => {
+  try {
+    if (user.bot) return;
+    const channel = reaction.message.channel;
+    if (!channel?.guildId) return;
+    const signal = noteReaction(channel, reaction.message.id, reaction.emoji.name);
+    if (signal) log('info', { evt: 'reaction_feedback', channel: channel.name, signal, user: logId(user.id) });
+  } catch (err) {
+    log('error', { evt: 'reaction_error', err: err?.message || String(err) });
+  }
+});
+
+/* ========== Slash commands ========== */
+const controls = {
+  status(channel) {
+    const last = lastReplyPerChannel.get(channel.id) || 0;
+    return {
+      channelName: channel.name,
+      mode: MODE,
+      uptimeSec: Math.floor(process.uptime()),
+      envMuted: envMuted(),
+      guildMuteUntil: muteUntil(guildKey(channel.guildId)),
+      channelMuteUntil: muteUntil(channel.id),
+      sleeping: isChannelSleeping(channel.id, sleepOpts(channel)),
+      ...windowStats(channel.id),
+      cooldownMs: Math.max(0, last + tunedCooldown(channel) - Date.now()),
+      talkativeness: talkativeness(channel),
+      probability: tunedProbability(channel),
+      cooldownTotalMs: tunedCooldown(channel),
+      hushed: isHushed(channel),
+      lastReplyAt: last || null,
+      lastHumanAt: lastHumanActivity.get(channel.id) || null,
+      providers: providerStatus(),
+      language: languageFor(channel),
+      languageSetting: conf('language', channel),
+    };
+  },
+};
+
+client.on(Events.InteractionCreate, async (interaction) => {
+  try {
+    await handleInteraction(interaction, controls);
+  } catch (err) {
+    log('error', { evt: 'interaction_error', err: err?.message || String(err) });
+  }
+});
 
 /* ========== Main message handler ========== */
 client.on(Events.MessageCreate, async (msg) => {
   try {
-    if (msg.author.bot || !msg.inGuild()) return;
+    if (msg.author.bot) return;
+    if (!msg.inGuild()) return await handleDirectMessage(msg);
 
     const channel = msg.channel;
     const channelName = channel?.name || '(unknown)';
 
-    if (await handleAdmin(msg)) return;
-
-    // Activity tracking
-    recordActivity(channel.id, msg.author.id, msg.createdTimestamp, { MOMENTUM_LOOKBACK_MIN });
-    lastHumanActivity.set(channel.id, msg.createdTimestamp);
-
-    // If someone speaks within 10s after Roxi, extend linger window
-    const lastRoxi = lastReplyPerChannel.get(channel.id) || 0;
-    if (Date.now() - lastRoxi < 10000) {
-      recentEngagement.set(channel.id, Date.now());
-    }
-
-    if (!isChannelSleeping(channel.id, { SLEEP_AFTER_MIN })) {
-      await maybeAnnounceWake(channel);
-    }
-
-    // ===== Directed-to-Roxi detection =====
-    const content = (msg.cleanContent || '').toLowerCase();
+    const wasSleeping = isChannelSleeping(channel.id, sleepOpts(channel));
+    noteHumanForProactive(channel.id, msg.createdTimestamp);
     const mentioned = msg.mentions.has(client.user);
-    const keywordTrigger = KEYWORD && content.includes(KEYWORD);
-
-    const isReplyToRoxi = Boolean(
-      msg.reference?.messageId &&
-      lastRoxiMsgIdPerChannel.get(channel.id) === msg.reference.messageId
-    );
-    const lastEngaged = recentEngagement.get(channel.id) || 0;
-    const withinLinger = (Date.now() - lastEngaged) < LINGER_MS;
-
-    const directedToRoxi = mentioned || keywordTrigger || isReplyToRoxi || withinLinger;
-
-    if (directedToRoxi) {
-      const lastUserTs = lastHumanActivity.get(channel.id) || msg.createdTimestamp;
-      if (!canEvenConsiderSpeaking(channel, lastUserTs)) return;
-      if (!canSendInChannel(channel, client.user)) return;
-
-      const history = await channel.messages.fetch({ limit: Math.min(50, MAX_CONTEXT_MSGS) }).catch(() => null);
-      const sorted = history ? [...history.values()].sort((a,b)=>a.createdTimestamp-b.createdTimestamp) : [];
-      const trimmed = sorted.slice(-MAX_CONTEXT_MSGS).map(m => ({
-        author: m.author.bot ? 'bot' : (m.member?.displayName || m.author.username),
-        content: sanitizeInput(m.cleanContent || '', MAX_INPUT_CHARS),
-        ts: m.createdTimestamp,
-        isBot: m.author.bot,
-      })).filter(m => m.content || !m.isBot);
-
-      await withChannelLock(channel.id, async () => {
-        let typing = true;
-        const pump = setInterval(() => { if (typing) channel.sendTyping().catch(()=>{}); }, 4000);
-        channel.sendTyping().catch(()=>{});
-
-        try {
-          const reply = await withTimeout(
-            onceWithRetry(() => generateReply({
-              channel: `#${channelName}`,
-              recent: {
-                messages: trimmed,
-                ...windowStats(channel.id),
-                momentum: MOMENTUM_LOOKBACK_MIN,
-              },
-              mode: MODE,
-            })),
-            26000
-          );
-
-          if (reply && reply.trim()) {
-            const sent = await channel.send(reply.trim());
-            lastReplyPerChannel.set(channel.id, Date.now());
-            recentEngagement.set(channel.id, Date.now());
-            lastRoxiMsgIdPerChannel.set(channel.id, sent.id);
-            log('info', { evt: 'send', reason: (isReplyToRoxi ? 'reply' : (mentioned ? 'mention' : (keywordTrigger ? 'keyword' : 'linger'))), channel: channelName });
-          }
-        } finally {
-          typing = false;
-          clearInterval(pump);
-        }
-      });
+    const decision = onHumanMessage({
+      channel,
+      authorId: trackedId(msg.author.id),
+      ts: msg.createdTimestamp,
+      content: msg.cleanContent,
+      mentioned,
+      replyToId: msg.reference?.messageId,
+      directedOnly: directedOnly(msg.author.id),
+    }, { canSend: canSendInChannel(channel, client.user) });
+
+    const displayName = msg.member?.displayName || msg.author.username;
+    rememberMessage(msg, displayName, ['reply', 'mention', 'keyword'].includes(decision.trigger));
+
+    if (wasSleeping) await maybeAnnounceWake(channel);
+
+    const trace = traceDecision(channel, { ...decision, author: displayName, msgId: msg.id });
+    if (!decision.reply) {
+      if (decision.gate === 'no_send_perm') log('warn', { evt: 'no_send_perm', channel: channelName });
       return;
     }
 
-    // ===== Organic path =====
-    const lastUserTs = lastHumanActivity.get(channel.id) || msg.createdTimestamp;
-    if (!canEvenConsiderSpeaking(channel, lastUserTs)) return;
-    if (!conversationEligible(channel)) return;
-    if (!canSendInChannel(channel, client.user)) {
-      log('warn', { evt: 'no_send_perm', channel: channelName }); return;
+    try {
+      traceOutcome(trace, await replyIn(channel, decision.trigger, msg));
+    } catch (err) {
+      traceOutcome(trace, 'error', { err: err?.message || String(err) });
+      throw err;
     }
-
-    const history = await channel.messages.fetch({ limit: Math.min(50, MAX_CONTEXT_MSGS) }).catch(() => null);
-    const sorted = history ? [...history.values()].sort((a,b)=>a.createdTimestamp-b.createdTimestamp) : [];
-    const trimmed = sorted.slice(-MAX_CONTEXT_MSGS).map(m => ({
-      author: m.author.bot ? 'bot' : (m.member?.displayName || m.author.username),
-      content: sanitizeInput(m.cleanContent || '', MAX_INPUT_CHARS),
-      ts: m.createdTimestamp,
-      isBot: m.author.bot,
-    })).filter(m => m.content || !m.isBot);
-
-    if (trimmed.length === 0) return;
-    if (!rollProbability(REPLY_PROBABILITY)) return;
-
-    await withChannelLock(channel.id, async () => {
-      let typing = true;
-      const pump = setInterval(() => { if (typing) channel.sendTyping().catch(()=>{}); }, 4000);
-      channel.sendTyping().catch(()=>{});
-
-      try {
-        const reply = await withTimeout(
-          onceWithRetry(() => generateReply({
-            channel: `#${channelName}`,
-            recent: {
-              messages: trimmed,
-              ...windowStats(channel.id),
-              momentum: MOMENTUM_LOOKBACK_MIN,
-            },
-            mode: MODE,
-          })),
-          26000
-        );
-
-        if (reply && reply.trim()) {
-          const sent = await channel.send(reply.trim());
-          lastReplyPerChannel.set(channel.id, Date.now());
-          recentEngagement.set(channel.id, Date.now());
-          lastRoxiMsgIdPerChannel.set(channel.id, sent.id);
-          log('info', { evt: 'send', channel: channelName, bytes: reply.length, recentMsgs: trimmed.length });
-        }
-      } finally {
-        typing = false;
-        clearInterval(pump);
-      }
-    });
   } catch (err) {
     log('error', { evt: 'handler_error', err: err?.message || String(err) });
   }
 });
 
-/* ========== Health endpoint ========== */
+/* ========== Direct messages ========== */
+async function handleDirectMessage(msg) {
+  const verdict = await dmGate(msg, client);
+  if (verdict.action === 'say') {
+    await post(msg.channel, verdict.text, { reason: 'dm_notice' });
+    return;
+  }
+  if (verdict.action !== 'reply') {
+    log('debug', { evt: 'dm_ignored', user: logId(msg.author.id), why: verdict.why });
+    return;
+  }
+  rememberMessage(msg, msg.author.globalName || msg.author.username, true);
+  const outcome = await replyIn(msg.channel, 'dm', msg);
+  log('info', { evt: 'dm_reply', user: logId(msg.author.id), outcome });
+}
+
+/* ========== Status / admin API ========== */
 if (STATUS_PORT > 0) {
-  const server = http.createServer((req, res) => {
-    if (req.url === '/status') {
-      const body = JSON.stringify({
-        ok: true,
-        bot: client.user?.tag || null,
-        mode: MODE,
-        sleepAfterMin: SLEEP_AFTER_MIN,
-        momentum: { lookbackMin: MOMENTUM_LOOKBACK_MIN, minMsgs: MOMENTUM_MIN_MSGS, minSpeakers: MIN_DISTINCT_SPEAKERS },
-        uptimeSec: Math.floor(process.uptime()),
-        ts: new Date().toISOString(),
-      });
-      res.writeHead(200, { 'content-type': 'application/json' });
-      res.end(body);
-      return;
-    }
-    res.writeHead(404);
-    res.end();
-  });
-  server.listen(STATUS_PORT, () => log('info', { evt: 'status_listen', port: STATUS_PORT }));
+  startStatusServer({ port: STATUS_PORT, host: process.env.STATUS_HOST || undefined, client, mode: MODE, controls });
 }
 
 /* ========== Boot ========== */
+// Exit normally on signals so store.js gets its 'exit' hook and flushes pending writes
+for (const sig of ['SIGINT', 'SIGTERM']) process.on(sig, () => process.exit(0));
+
+// lets other shards reach this one's data for /privacy export and delete (userdata.js)
+client.roxiUserData = { exportUser, deleteUser };
+
+await hydrateState();
 client.login(TOKEN).catch((e) => {
   console.error('❌ Login failed:', e?.message || e);
   process.exit(1);
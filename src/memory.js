@@ -0,0 +1,215 @@
+import { loadJson, saveJson } from './store.js';
+import { summarize } from './ai.js';
+import { log } from './utils.js';
+
+// Long-term memory: a rolling summary per channel plus notes about users (per guild).
+const FILE = 'memory.json';
+const mem = loadJson(FILE, {});
+mem.channels ??= {}; // channelId -> { summary, updatedAt, pending: [{ uid, line: "name: text" }], contributors: [uid] }
+mem.users ??= {};    // guildId (or DM_SCOPE) -> { userId -> { name, notes: [{ text, ts, by }] } }
+
+// Notes made in DMs live apart from every server's notes.
+export const DM_SCOPE = 'dm';
+
+const MAX_PENDING      = 80;   // raw lines kept between summaries
+const MAX_NOTES        = 30;   // per user
+const MAX_SUMMARY_CHARS = 700;
+const RECALL_NOTES     = 6;
+const RETRY_MS         = 10 * 60_000; // after an empty or failed summary
+
+const summarizing = new Set(); // channelIds with a summary in flight
+const retryAt = new Map();     // channelId -> ts before which a failed summary is not retried
+
+function persist() { saveJson(FILE, mem); }
+
+const lineOf = (p) => (typeof p === 'string' ? p : p.line); // older files kept bare strings
+
+/* ========== Channel summaries ========== */
+
+/** Buffer a human line for the next summary. */
+export function noteMessage(channelId, author, text, uid = null) {
+  const t = String(text || '').trim().replace(/\s+/g, ' ');
+  if (!t) return;
+  const ch = (mem.channels[channelId] ??= { summary: '', updatedAt: 0, pending: [] });
+  ch.pending.push({ uid, line: `${author}: ${t.slice(0, 300)}` });
+  if (ch.pending.length > MAX_PENDING) ch.pending.splice(0, ch.pending.length - MAX_PENDING);
+  persist();
+}
+
+export function pendingCount(channelId) {
+  return mem.channels[channelId]?.pending.length || 0;
+}
+
+/**
+ * Fold buffered lines into the channel summary (runs in the background;
+ * at most one per channel at a time). Returns the new summary or null.
+ * An empty or failed summary backs off for RETRY_MS instead of firing again on
+ * every message while the buffer stays over the threshold.
+ */
+export async function refreshSummary(channelId) {
+  const ch = mem.channels[channelId];
+  if (!ch?.pending.length || summarizing.has(channelId) || Date.now() < (retryAt.get(channelId) || 0)) return null;
+  summarizing.add(channelId);
+  const batch = ch.pending.slice();
+  const previous = ch.summary;
+  try {
+    const text = [
+      previous ? `Previous summary:\n${previous}` : '',
+      `New messages:\n${batch.map(lineOf).join('\n')}`,
+    ].filter(Boolean).join('\n\n');
+    const out = await summarize(text,
+      'Update the running summary of this chat channel. Keep ongoing topics, plans, running jokes and who said what. Max 5 short sentences.');
+    if (!out) {
+      retryAt.set(channelId, Date.now() + RETRY_MS);
+      log('warn', { evt: 'memory_summary_empty', channelId, retryInMs: RETRY_MS });
+      return null;
+    }
+    // someone's data was deleted meanwhile; their lines must not come back via the summary
+    if (ch.summary !== previous || batch.some(p => !ch.pending.includes(p))) return null;
+    ch.summary = out.slice(0, MAX_SUMMARY_CHARS);
+    ch.updatedAt = Date.now();
+    // who is in the summary, so deleting someone's data can drop it (see forgetEverywhere)
+    ch.contributors = [...new Set([...(ch.contributors || []), ...batch.map(p => p.uid).filter(Boolean)])];
+    ch.pending = ch.pending.filter(p => !batch.includes(p)); // keep anything that arrived meanwhile
+    retryAt.delete(channelId);
+    persist();
+    log('info', { evt: 'memory_summary', channelId, lines: batch.length });
+    return ch.summary;
+  } catch (e) {
+    retryAt.set(channelId, Date.now() + RETRY_MS);
+    log('warn', { evt: 'memory_summary_fail', channelId, err: e?.message, retryInMs: RETRY_MS });
+    return null;
+  } finally {
+    summarizing.delete(channelId);
+  }
+}
+
+export function getSummary(channelId) {
+  const ch = mem.channels[channelId];
+  return ch ? { summary: ch.summary, updatedAt: ch.updatedAt, pending: ch.pending.length } : null;
+}
+
+export function clearChannel(channelId) {
+  delete mem.channels[channelId];
+  persist();
+}
+
+/* ========== User notes ========== */
+
+function userEntry(guildId, userId, name) {
+  const g = (mem.users[guildId] ??= {});
+  const u = (g[userId] ??= { name: name || userId, notes: [] });
+  if (name) u.name = name;
+  return u;
+}
+
+export function listNotes(guildId, userId) {
+  return mem.users[guildId]?.[userId]?.notes || [];
+}
+
+export function addNote(guildId, userId, name, text, by) {
+  const u = userEntry(guildId, userId, name);
+  u.notes.push({ text: String(text).trim().slice(0, 200), ts: Date.now(), by });
+  if (u.notes.length > MAX_NOTES) u.notes.splice(0, u.notes.length - MAX_NOTES);
+  persist();
+  return u.notes.length;
+}
+
+/** index is 1-based, as shown to admins. Returns false if out of range. */
+export function editNote(guildId, userId, index, text) {
+  const note = listNotes(guildId, userId)[index - 1];
+  if (!note) return false;
+  note.text = String(text).trim().slice(0, 200);
+  note.ts = Date.now();
+  persist();
+  return true;
+}
+
+/** Remove one note (1-based) or, without an index, everything about the user. */
+export function forgetUser(guildId, userId, index) {
+  const g = mem.users[guildId];
+  if (!g?.[userId]) return false;
+  if (index) {
+    const removed = g[userId].notes.splice(index - 1, 1);
+    if (!removed.length) return false;
+  } else {
+    delete g[userId];
+  }
+  persist();
+  return true;
+}
+
+/* ========== Export / deletion (see userdata.js) ========== */
+
+/** Everything memory holds about a user: notes per scope and buffered lines per channel. */
+export function userMemory(userId) {
+  const notes = {};
+  for (const [scope, people] of Object.entries(mem.users)) {
+    if (people[userId]) notes[scope] = people[userId];
+  }
+  const pending = {};
+  const inSummaries = [];
+  for (const [channelId, ch] of Object.entries(mem.channels)) {
+    const lines = ch.pending.filter(p => p.uid === userId).map(lineOf);
+    if (lines.length) pending[channelId] = lines;
+    if (ch.contributors?.includes(userId)) inSummaries.push({ channelId, summary: ch.summary });
+  }
+  return { notes, pending, inSummaries };
+}
+
+/**
+ * Drop a user's notes everywhere, their buffered lines, and every channel summary
+ * built partly from their messages (it is rebuilt from new chat). Returns counts.
+ */
+export function forgetEverywhere(userId) {
+  let notes = 0, lines = 0, summaries = 0;
+  for (const people of Object.values(mem.users)) {
+    if (people[userId]) { notes += people[userId].notes.length; delete people[userId]; }
+  }
+  for (const ch of Object.values(mem.channels)) {
+    const before = ch.pending.length;
+    ch.pending = ch.pending.filter(p => p.uid !== userId);
+    lines += before - ch.pending.length;
+    if (ch.contributors?.includes(userId)) {
+      ch.summary = '';
+      ch.contributors = [];
+      summaries++;
+    }
+  }
+  persist();
+  return { notes, lines, summaries };
+}
+
+/* ========== Recall ========== */
+
+const words = (s) => new Set(String(s).toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || []);
+
+/**
+ * Build the memory block for a reply: the channel summary plus the notes
+ * about people in the recent messages, most relevant to the conversation first.
+ * recent: [{ uid, author, content }]
+ */
+export function recall(channel, recent) {
+  const parts = [];
+  const summary = mem.channels[channel.id]?.summary;
+  if (summary) parts.push(channel.guildId ? `Earlier in #${channel.name}: ${summary}` : `Earlier in your DMs: ${summary}`);
+
+  const people = mem.users[channel.guildId ?? DM_SCOPE] || {};
+  const topic = words(recent.slice(-6).map(m => m.content).join(' '));
+  const seen = new Set();
+  const scored = [];
+  for (const m of recent) {
+    if (!m.uid || seen.has(m.uid) || !people[m.uid]) continue;
+    seen.add(m.uid);
+    const p = people[m.uid];
+    for (const n of p.notes) {
+      let overlap = 0;
+      for (const w of words(n.text)) if (topic.has(w)) overlap++;
+      scored.push({ line: `${m.author}: ${n.text}`, score: overlap, ts: n.ts });
+    }
+  }
+  scored.sort((a, b) => b.score - a.score || b.ts - a.ts);
+  const notes = scored.slice(0, RECALL_NOTES).map(s => `- ${s.line}`);
+  if (notes.length) parts.push(`About the people here:\n${notes.join('\n')}`);
+  return parts.join('\n');
+}
@@ -0,0 +1,67 @@
+// Minimal Prometheus text-format registry (counters, histograms, scrape-time gauges).
+
+const registry = new Map(); // name -> { type, help, series: Map(labelKey -> entry), buckets?, collect? }
+
+const labelKey = (labels = {}) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+const escape = (v) => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function fmtLabels(labels, extra = {}) {
+  const all = { ...labels, ...extra };
+  const parts = Object.entries(all).map(([k, v]) => `${k}="${escape(v)}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function entryFor(metric, labels, init) {
+  const key = labelKey(labels);
+  let e = metric.series.get(key);
+  if (!e) { e = { labels, ...init() }; metric.series.set(key, e); }
+  return e;
+}
+
+export function counter(name, help) {
+  const metric = { type: 'counter', help, series: new Map() };
+  registry.set(name, metric);
+  return {
+    inc(labels = {}, v = 1) { entryFor(metric, labels, () => ({ value: 0 })).value += v; },
+  };
+}
+
+export function histogram(name, help, buckets = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 25]) {
+  const metric = { type: 'histogram', help, buckets, series: new Map() };
+  registry.set(name, metric);
+  return {
+    observe(labels = {}, v) {
+      const e = entryFor(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+      buckets.forEach((b, i) => { if (v <= b) e.counts[i]++; });
+      e.sum += v;
+      e.count++;
+    },
+  };
+}
+
+/** Gauge whose samples are read at scrape time: collect() → [{ labels, value }] */
+export function gauge(name, help, collect) {
+  registry.set(name, { type: 'gauge', help, collect, series: new Map() });
+}
+
+export function renderMetrics() {
+  const out = [];
+  for (const [name, m] of registry) {
+    out.push(`# HELP ${name} ${m.help}`, `# TYPE ${name} ${m.type}`);
+    if (m.type === 'gauge') {
+      let samples = [];
+      try { samples = m.collect() || []; } catch { }
+      for (const s of samples) out.push(`${name}${fmtLabels(s.labels)} ${Number(s.value)}`);
+      continue;
+    }
+    for (const e of m.series.values()) {
+      if (m.type === 'counter') { out.push(`${name}${fmtLabels(e.labels)} ${e.value}`); continue; }
+      m.buckets.forEach((b, i) => out.push(`${name}_bucket${fmtLabels(e.labels, { le: b })} ${e.counts[i]}`));
+      out.push(`${name}_bucket${fmtLabels(e.labels, { le: '+Inf' })} ${e.count}`);
+      out.push(`${name}_sum${fmtLabels(e.labels)} ${e.sum}`);
+      out.push(`${name}_count${fmtLabels(e.labels)} ${e.count}`);
+    }
+  }
+  return `${out.join('\n')}\n`;
+}
@@ -0,0 +1,153 @@
+// Content safety for what Roxi reads (context, notes) and what she sends.
+// Inputs get secrets/PII redacted in place instead of whole messages vanishing;
+// outputs are checked before channel.send and rewritten or refused.
+import { conf } from './config.js';
+import { appendLine } from './store.js';
+import { counter } from './metrics.js';
+import { logId } from './privacy.js';
+import { log } from './utils.js';
+
+/**
+ * Category → action per direction.
+ *   input:  redact (mask the match, keep the message) | flag (keep as is, audit only)
+ *   output: rewrite (mask the match, still send) | refuse (don't send) | flag
+ * A rule may override with its own `actions`.
+ */
+const ACTIONS = {
+  secrets:   { input: 'redact', output: 'rewrite' },
+  doxxing:   { input: 'redact', output: 'rewrite' },
+  slurs:     { input: 'redact', output: 'refuse' },
+  selfharm:  { input: 'flag',   output: 'refuse' },
+  blocklist: { input: 'redact', output: 'rewrite' },
+};
+
+const MASK = { secrets: '[redacted]', doxxing: '[redacted]', slurs: '***', selfharm: '***', blocklist: '***' };
+
+function luhn(s) {
+  const digits = s.replace(/\D/g, '');
+  if (digits.length < 13 || digits.length > 19) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2) { d *= 2; if (d > 9) d -= 9; }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * id: audit name; keep: leading capture groups left in place (e.g. "password: ")
+ * check(match, groups): extra predicate (false → not a hit)
+ */
+const RULES = [
+  // Secrets
+  { category: 'secrets', id: 'private_key', re: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z ]*PRIVATE KEY-----|$)/g },
+  { category: 'secrets', id: 'api_token', re: /\b(?:sk-[A-Za-z0-9_-]{20,}|gh[pousr]_[A-Za-z0-9]{30,}|AKIA[0-9A-Z]{16}|xox[abpr]-[A-Za-z0-9-]{10,}|AIza[0-9A-Za-z_-]{35})\b/g },
+  { category: 'secrets', id: 'discord_token', re: /\b[MN][A-Za-z\d_-]{23,25}\.[A-Za-z\d_-]{6}\.[A-Za-z\d_-]{27,38}\b/g },
+  { category: 'secrets', id: 'jwt', re: /\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\b/g },
+  // "the secret is that..." is chat, "password: hunter22" is not
+  { category: 'secrets', id: 'credential', keep: 2, re: /\b(password|passwd|pwd|api[_\- ]?key|secret|token|access[_\- ]?key)(\s*(?:is|[:=])\s*)(\S{4,})/gi,
+    check: (_, g) => /[^A-Za-z]/.test(g[2]) || g[2].length >= 12 },
+  { category: 'secrets', id: 'seed_phrase', keep: 2, re: /\b(seed phrase|recovery phrase|mnemonic)(\s*(?:is|[:=])?\s*)((?:[a-z]+\s+){11,23}[a-z]+)/gi },
+
+  // Doxxing / personal data
+  { category: 'doxxing', id: 'email', re: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+  { category: 'doxxing', id: 'card_number', re: /\b\d(?:[ -]?\d){12,18}\b/g, check: (m) => luhn(m) },
+  { category: 'doxxing', id: 'ssn', re: /\b\d{3}-\d{2}-\d{4}\b/g },
+  { category: 'doxxing', id: 'phone', re: /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?\(?\d{3}\)?[\s.-]\d{3}[\s.-]?\d{3,4}\b/g },
+  // four octets of 0-255, not part of a longer dotted run, and not a version ("v1.2.3.4", "version 1.2.3.4")
+  { category: 'doxxing', id: 'ip_address', re: /(?<![\w.]|\b(?:v|ver|version)[\s.:]*)(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)(?![\w.]*\w)/gi },
+  { category: 'doxxing', id: 'street_address', re: /\b\d{1,5}\s+(?:[A-Z][a-z]+\s){1,3}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Strada|Str)\b\.?/g },
+
+  // Slurs (stems + common leetspeak); "chink" also means a gap ("a chink in the armor", "a chink of light")
+  { category: 'slurs', id: 'slur', re: /\b(?:n[i1!]gg(?:er|a|ah)s?|f[a@4]gg?[o0]ts?|k[i1]kes?|sp[i1]cs?|ch[i1]nks?\b(?!\s+(?:in\s+(?:[\w']+\s+){0,2}armou?r|of\s+(?:day)?light))|tr[a@4]nn(?:y|ies)|r[e3]t[a@4]rds?)\b/gi },
+
+  // Self-harm: encouragement is refused outright; ideation is flagged so the reply can be careful
+  { category: 'selfharm', id: 'encouragement', re: /\b(?:kys|kill (?:yo)?ur ?self|go die|you should die|end your life)\b/gi },
+  { category: 'selfharm', id: 'ideation', actions: { input: 'flag', output: 'flag' },
+    re: /\b(?:i (?:want|wanna|am going|'m going) to (?:die|kill myself)|kill myself|suicid(?:e|al)|self[- ]?harm|cut(?:ting)? myself|end my life)\b/gi },
+];
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+let blockCache = { key: null, rules: [] };
+
+function blocklistRules(channel) {
+  const terms = conf('blocklist', channel);
+  const key = terms.join('\n');
+  if (blockCache.key !== key) {
+    const rules = terms.length
+      ? [{ category: 'blocklist', id: 'blocklist', re: new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRe).join('|')})(?![\\p{L}\\p{N}])`, 'giu') }]
+      : [];
+    blockCache = { key, rules };
+  }
+  return blockCache.rules;
+}
+
+const interventions = counter('roxi_moderation_total', 'Moderation hits by direction, category and action');
+
+/** Run every enabled rule; returns { text, hits: [{ category, rule, action, count }] }. */
+function scan(text, channel, direction) {
+  const enabled = new Set(conf('modCategories', channel));
+  const rules = [...RULES.filter(r => enabled.has(r.category)), ...blocklistRules(channel)];
+  let out = text;
+  const hits = [];
+  for (const rule of rules) {
+    const action = rule.actions?.[direction] ?? ACTIONS[rule.category][direction];
+    const masks = action === 'redact' || action === 'rewrite';
+    let count = 0;
+    const next = out.replace(rule.re, (match, ...groups) => {
+      if (rule.check && !rule.check(match, groups)) return match;
+      count++;
+      if (!masks) return match;
+      return (rule.keep ? groups.slice(0, rule.keep).join('') : '') + MASK[rule.category];
+    });
+    if (count) {
+      hits.push({ category: rule.category, rule: rule.id, action, count });
+      out = next;
+    }
+  }
+  return { text: out, hits };
+}
+
+/**
+ * Record interventions: metrics, a log line and data/audit.jsonl.
+ * Only rule names and counts are stored, never the matched text.
+ */
+function audit(direction, channel, hits, extra = {}) {
+  for (const h of hits) {
+    interventions.inc({ direction, category: h.category, action: h.action });
+    const entry = { ts: Date.now(), direction, guildId: channel?.guildId ?? null, channelId: channel?.id ?? null, ...extra, ...h };
+    appendLine('audit.jsonl', entry);
+    log('info', { evt: 'moderation', ...entry, ...(entry.authorId && { authorId: logId(entry.authorId) }) });
+  }
+}
+
+/**
+ * Clean one incoming message before it reaches the prompt or memory.
+ * opts.audit: { msgId, authorId } to write audit entries; omit when re-reading
+ * history that was already audited on arrival.
+ * Returns { text, flags } — flags lists flagged categories (e.g. 'selfharm').
+ */
+export function moderateInput(text, channel, { maxLen = 800, audit: who = null } = {}) {
+  if (!text) return { text: '', flags: [] };
+  const { text: out, hits } = scan(String(text).slice(0, maxLen), channel, 'input');
+  if (who && hits.length) audit('input', channel, hits, who);
+  return { text: out, flags: [...new Set(hits.filter(h => h.action === 'flag').map(h => h.category))] };
+}
+
+/**
+ * Check a generated reply right before sending.
+ * opts.partial: a snapshot of a reply still streaming in — only a refusal is audited,
+ * the finished text gets the full audit.
+ * Returns { text, action } with action: pass | rewrite | refuse.
+ */
+export function moderateOutput(text, channel, { partial = false } = {}) {
+  const { text: out, hits } = scan(String(text || ''), channel, 'output');
+  if (!hits.length) return { text: out, action: 'pass' };
+  const refuse = hits.some(h => h.action === 'refuse');
+  if (!partial || refuse) audit('output', channel, hits);
+  if (refuse) return { text: '', action: 'refuse' };
+  const rewritten = hits.some(h => h.action === 'rewrite');
+  return { text: out, action: rewritten ? 'rewrite' : 'pass' };
+}
@@ -0,0 +1,43 @@
+import { loadJson, saveJson } from './store.js';
+
+// Persisted mutes, so a restart no longer silently unmutes Roxi.
+// Keys: 'guild:<id>' for a whole server, or a channel id.
+const FILE = 'mutes.json';
+const mutes = loadJson(FILE, {}); // key -> muted-until ts (null = until unmuted)
+
+// ROXI_MUTE=1 is a process-wide mute from the environment; it is not persisted.
+const ENV_MUTED = process.env.ROXI_MUTE === '1';
+
+export const guildKey = (guildId) => `guild:${guildId}`;
+
+export function mute(key, until = Infinity) {
+  mutes[key] = Number.isFinite(until) ? until : null;
+  saveJson(FILE, mutes);
+}
+
+export function unmute(key) {
+  if (!(key in mutes)) return;
+  delete mutes[key];
+  saveJson(FILE, mutes);
+}
+
+/** 0 if not muted, else the until timestamp (Infinity = until unmuted). */
+export function muteUntil(key) {
+  if (!key || !(key in mutes)) return 0;
+  const until = mutes[key] ?? Infinity;
+  if (until <= Date.now()) { unmute(key); return 0; }
+  return until;
+}
+
+export function isMuted(channel) {
+  if (ENV_MUTED) return true;
+  return Boolean(
+    muteUntil(channel.id) ||
+    muteUntil(channel.parentId) ||
+    (channel.guildId && muteUntil(guildKey(channel.guildId)))
+  );
+}
+
+export function envMuted() {
+  return ENV_MUTED;
+}
@@ -0,0 +1,147 @@
+// Outbound queue: every message Roxi posts goes through here, one channel at a time,
+// with rate-limit backoff, bounded retries and a recorded end state.
+import { counter, gauge } from './metrics.js';
+import { log } from './utils.js';
+
+/**
+ * Each item ends as:
+ *  - delivered: every part went out;
+ *  - failed:    Discord refused it (missing access, deleted channel, ...), retries ran out,
+ *               or the channel's queue was full; parts sent before the failure stay up;
+ *  - stale:     dropped before anything went out because the conversation moved on.
+ * Rate limits (429) wait for Discord's retry_after, holding the channel's queue (or every
+ * queue, for a global limit). Server and network errors back off exponentially.
+ */
+const MAX_ATTEMPTS = Number(process.env.ROXI_SEND_RETRIES || 3) + 1;
+const BACKOFF_MS = 1000;
+const BACKOFF_MAX_MS = 30_000;
+const MAX_QUEUED = 20;   // per channel
+const RECORDS = 200;     // recent items kept for /api/outbox
+
+const tails = new Map();  // channelId -> promise of the last queued item
+const queued = new Map(); // channelId -> items waiting or in flight
+const records = [];       // [record, ...] (oldest first)
+let holdAllUntil = 0;     // global rate limit
+let seq = 0;
+
+const outboundTotal = counter('roxi_outbound_total', 'Outbound messages by reason and end state');
+gauge('roxi_outbound_queued', 'Outbound messages waiting or in flight', () =>
+  [{ labels: {}, value: [...queued.values()].reduce((a, b) => a + b, 0) }]);
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+const jitter = () => Math.floor(Math.random() * 250);
+
+// Socket-level failures worth another try; other string codes (discord.js errors such as
+// a bad payload) are permanent
+const NETWORK_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED', 'EPIPE']);
+
+function networkError(err) {
+  const code = err?.code ?? err?.cause?.code; // undici wraps the socket error
+  return typeof code === 'string' && (NETWORK_CODES.has(code) || code.startsWith('UND_ERR_'));
+}
+
+/** ms to wait before retrying, or null when retrying cannot help. */
+function retryDelay(err, attempt) {
+  if (err?.status === 429 || err?.retryAfter) {
+    const ms = err.retryAfter ?? (err.rawError?.retry_after ?? 1) * 1000;
+    if (err.global || err.rawError?.global) holdAllUntil = Date.now() + ms;
+    return ms + jitter();
+  }
+  const transient = err?.status >= 500 || err?.name === 'AbortError' || networkError(err);
+  return transient ? Math.min(BACKOFF_MAX_MS, BACKOFF_MS * 2 ** (attempt - 1)) + jitter() : null;
+}
+
+/** Human messages in the channel's cache newer than `since`. */
+function humansSince(channel, since) {
+  let n = 0;
+  for (const m of channel.messages?.cache?.values() || []) if (!m.author?.bot && m.createdTimestamp > since) n++;
+  return n;
+}
+
+function staleWhy(item) {
+  if (item.maxAgeMs && Date.now() - item.since > item.maxAgeMs) return 'too_old';
+  if (item.maxNewMessages && humansSince(item.channel, item.since) >= item.maxNewMessages) return 'moved_on';
+  return null;
+}
+
+async function sendPart(item, payload, first) {
+  for (let attempt = 1; ; attempt++) {
+    if (first) {
+      const why = staleWhy(item);
+      if (why) return { stale: why };
+    }
+    const hold = holdAllUntil - Date.now();
+    if (hold > 0) await sleep(hold);
+    try {
+      item.attempts++;
+      return { message: await item.channel.send(payload) };
+    } catch (err) {
+      const wait = attempt < MAX_ATTEMPTS ? retryDelay(err, attempt) : null;
+      if (wait === null) return { error: err };
+      log('debug', { evt: 'outbound_retry', id: item.id, channelId: item.channel.id, attempt, waitMs: wait, err: err?.message });
+      await sleep(wait);
+    }
+  }
+}
+
+async function deliver(item) {
+  const messages = [];
+  let state = 'delivered';
+  let why = null;
+  for (const [i, payload] of item.parts.entries()) {
+    const r = await sendPart(item, payload, i === 0);
+    if (r.message) { messages.push(r.message); continue; }
+    state = r.stale ? 'stale' : 'failed';
+    why = r.stale || r.error?.message || String(r.error);
+    break;
+  }
+  return record(item, state, messages, why);
+}
+
+function record(item, state, messages, why = null) {
+  const entry = {
+    id: item.id, channelId: item.channel.id, reason: item.reason, state, parts: item.parts.length,
+    sent: messages.length, attempts: item.attempts, queuedAt: item.queuedAt, doneAt: Date.now(), why,
+  };
+  records.push(entry);
+  if (records.length > RECORDS) records.splice(0, records.length - RECORDS);
+  outboundTotal.inc({ reason: item.reason, state });
+  log(state === 'failed' ? 'warn' : state === 'stale' ? 'info' : 'debug', { evt: 'outbound', ...entry });
+  return { state, messages, why };
+}
+
+/**
+ * Queue a message (or several, sent back to back as one item: a split reply) for the channel.
+ * opts:
+ *  - reason: label for logs and metrics;
+ *  - since: when the reply was started, e.g. before generating it (default: now);
+ *  - maxAgeMs: drop it if it is still unsent this long after `since`;
+ *  - maxNewMessages: drop it once this many human messages arrived after `since`.
+ * Staleness only applies before the first part goes out. Never throws.
+ * Returns { state: 'delivered' | 'failed' | 'stale', messages, why }.
+ */
+export function post(channel, parts, { reason = 'other', since = Date.now(), maxAgeMs = 0, maxNewMessages = 0 } = {}) {
+  const item = {
+    id: ++seq, channel, reason, since, maxAgeMs, maxNewMessages, attempts: 0, queuedAt: Date.now(),
+    parts: Array.isArray(parts) ? parts : [parts],
+  };
+  const key = channel.id;
+  if ((queued.get(key) || 0) >= MAX_QUEUED) return Promise.resolve(record(item, 'failed', [], 'queue_full'));
+
+  queued.set(key, (queued.get(key) || 0) + 1);
+  const run = (tails.get(key) || Promise.resolve())
+    .then(() => deliver(item))
+    .catch(err => record(item, 'failed', [], err?.message || String(err)))
+    .finally(() => {
+      const left = queued.get(key) - 1;
+      if (left > 0) queued.set(key, left); else queued.delete(key);
+      if (tails.get(key) === run) tails.delete(key);
+    });
+  tails.set(key, run);
+  return run;
+}
+
+/** Recent outbound items, newest first; channelId narrows to one channel. */
+export function recentOutbound(channelId = null, n = 20) {
+  return records.filter(r => !channelId || r.channelId === channelId).slice(-n).reverse();
+}
@@ -0,0 +1,87 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { log } from './utils.js';
+
+// Persona profiles: one JSON file per persona in personas/ (or ROXI_PERSONA_DIR).
+// Files are re-read when they change, so edits apply without a restart.
+export const PERSONA_DIR = path.resolve(
+  process.env.ROXI_PERSONA_DIR || fileURLToPath(new URL('../personas/', import.meta.url))
+);
+export const DEFAULT_PERSONA = 'roxi';
+
+const FALLBACK = {
+  name: 'Roxi',
+  description: 'built-in fallback',
+  system: 'You are {name}, a witty friend in a group chat.',
+  friends: [],
+  style: ['Never wrap replies in quotes.'],
+  wordLimit: 60,
+  instruction: 'Reply as {name} with ONE short line.',
+  followUpRate: 0,
+  followUp: '',
+  temperature: Number(process.env.ROXI_TEMPERATURE || 0.8),
+  maxTokens: Math.min(Number(process.env.ROXI_MAX_OUTPUT_TOKENS || 60), 80),
+  stop: ['\n', '\n\n'],
+  // Long mode: direct mentions/replies may get a real answer (see longReplies knob)
+  longInstruction: 'Answer as {name}, properly this time: a few short paragraphs at most.',
+  longWordLimit: 250,
+  longMaxTokens: Number(process.env.ROXI_LONG_MAX_TOKENS || 500),
+};
+
+const cache = new Map(); // id -> { mtimeMs, persona }
+
+export function listPersonas() {
+  try {
+    return fs.readdirSync(PERSONA_DIR)
+      .filter(f => f.endsWith('.json'))
+      .map(f => f.slice(0, -5).toLowerCase())
+      .sort();
+  } catch {
+    return [];
+  }
+}
+
+function load(id) {
+  const file = path.join(PERSONA_DIR, `${id}.json`);
+  const stat = fs.statSync(file);
+  const hit = cache.get(id);
+  if (hit && hit.mtimeMs === stat.mtimeMs) return hit.persona;
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const persona = { ...FALLBACK, ...raw, id };
+  cache.set(id, { mtimeMs: stat.mtimeMs, persona });
+  return persona;
+}
+
+/** Resolve a persona by id, falling back to the default and then the built-in one. */
+export function getPersona(id) {
+  for (const candidate of [id, DEFAULT_PERSONA]) {
+    if (!candidate || !/^[\w-]+$/.test(candidate)) continue;
+    try { return load(candidate.toLowerCase()); }
+    catch (e) {
+      if (e.code !== 'ENOENT') log('warn', { evt: 'persona_load_fail', persona: candidate, err: e.message });
+    }
+  }
+  return { ...FALLBACK, id: 'builtin' };
+}
+
+function fill(text, p) {
+  const friends = p.friends?.length > 1
+    ? `${p.friends.slice(0, -1).join(', ')}, and ${p.friends.at(-1)}`
+    : (p.friends?.[0] || 'the group');
+  return String(text || '').replaceAll('{name}', p.name).replaceAll('{friends}', friends);
+}
+
+export function personaSystemPrompt(p, { long = false } = {}) {
+  const style = long ? `Style: <= ~${p.longWordLimit} words.` : `Style: short (<= ~${p.wordLimit} words).`;
+  return [
+    fill(p.system, p),
+    `${style} ${p.style.map(s => fill(s, p)).join(' ')}`,
+  ].join('\n');
+}
+
+/** The per-reply instruction; the follow-up question is rolled at the persona's rate. */
+export function personaInstruction(p, channelName, roll = Math.random(), { long = false } = {}) {
+  const ask = p.followUp && roll < p.followUpRate;
+  return `Channel: #${channelName}. ${fill(long ? p.longInstruction : p.instruction, p)}${ask ? ` ${fill(p.followUp, p)}` : ''}`;
+}
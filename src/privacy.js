@@ -0,0 +1,65 @@
+// Per-user privacy settings (set with /privacy). Everything that reads chat for the
+// model asks here first; export and deletion of stored data live in userdata.js.
+import { createHmac, randomBytes } from 'node:crypto';
+import { loadJson, saveJson } from './store.js';
+
+/**
+ * Settings per user, across every server and DMs:
+ *  - noContext:   their messages never reach the model as context, summaries or catch-ups
+ *                 (a message addressed to Roxi is still answered, on its own);
+ *  - noProactive: Roxi only speaks to them when they address her;
+ *  - pseudonym:   the model sees a stable alias instead of their display name.
+ */
+const FILE = 'privacy.json';
+const state = loadJson(FILE, {}, { shared: true }); // userId -> { noContext, noProactive, pseudonym, at }
+
+export const PRIVACY_KEYS = ['noContext', 'noProactive', 'pseudonym'];
+
+// Aliases name pseudonymized people to the model, key opted-out people in momentum and traces,
+// and stand in for everyone in log lines. They outlive the process (state persists), so the key
+// does too: ROXI_ALIAS_SECRET, or one generated on first start and kept in the data dir.
+const KEY_FILE = 'alias-key.json';
+const keyState = loadJson(KEY_FILE, {}, { shared: true });
+if (!process.env.ROXI_ALIAS_SECRET && !keyState.key) {
+  keyState.key = randomBytes(32).toString('hex');
+  saveJson(KEY_FILE, keyState, 0);
+}
+const aliasKey = () => process.env.ROXI_ALIAS_SECRET || keyState.key;
+const alias = (kind, userId) => createHmac('sha256', aliasKey()).update(`${kind}:${userId}`).digest('hex').slice(0, 12);
+
+export function privacyOf(userId) {
+  const s = state[userId] || {};
+  return { noContext: Boolean(s.noContext), noProactive: Boolean(s.noProactive), pseudonym: Boolean(s.pseudonym) };
+}
+
+/** patch: any of PRIVACY_KEYS → bool. Returns the resulting settings. */
+export function setPrivacy(userId, patch) {
+  const next = { ...privacyOf(userId) };
+  for (const k of PRIVACY_KEYS) if (typeof patch[k] === 'boolean') next[k] = patch[k];
+  if (PRIVACY_KEYS.some(k => next[k])) state[userId] = { ...next, at: Date.now() };
+  else delete state[userId];
+  saveJson(FILE, state);
+  return next;
+}
+
+export const excludedFromContext = (userId) => Boolean(userId && state[userId]?.noContext);
+export const directedOnly = (userId) => Boolean(userId && state[userId]?.noProactive);
+
+/**
+ * The name the model gets for a user: their display name, or "user-xxxxxxxx" when
+ * pseudonymized (keyed, so hashing the member list can't unmask it).
+ */
+export function modelName(userId, displayName) {
+  return userId && state[userId]?.pseudonym ? `user-${alias('name', userId).slice(0, 8)}` : displayName;
+}
+
+/** The alias an opted-out user is tracked under; kept even after they opt back in. */
+export const trackingAlias = (userId) => `anon-${alias('track', userId)}`;
+
+/** Id recorded for momentum and traces: the real one, or a stable alias for opted-out people. */
+export function trackedId(userId) {
+  return excludedFromContext(userId) ? trackingAlias(userId) : userId;
+}
+
+/** How log lines name a user: never the id itself, so deleting their data leaves nothing to purge there. */
+export const logId = (userId) => (userId ? `u-${alias('log', userId)}` : null);
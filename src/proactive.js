@@ -0,0 +1,190 @@
+import { SnowflakeUtil } from 'discord.js';
+import { loadJson, saveJson } from './store.js';
+import { conf } from './config.js';
+import { isMuted } from './mutes.js';
+import { allowedByChannelList, speakGate, momentumGate, lastReplyPerChannel, markReplied } from './decide.js';
+import { lastHumanActivity } from './sleep.js';
+import { isHushed, tunedCooldown } from './feedback.js';
+import { buildContext } from './context.js';
+import { recall } from './memory.js';
+import { conversationStarter } from './ai.js';
+import { moderateOutput } from './moderation.js';
+import { counter } from './metrics.js';
+import { post } from './outbox.js';
+import { languageFor } from './i18n.js';
+import { canSendInChannel, log } from './utils.js';
+
+/**
+ * Proactive engine. Every tick, for each server with a core user online:
+ *  1. one roll of proactiveProbability decides whether the server gets a nudge at all;
+ *  2. candidates are channels where Roxi may speak unprompted, either to
+ *     - chime: join a lively conversation (the usual speak and momentum gates), or
+ *     - revive: start a topic from memory in a channel quiet for reviveAfterMin;
+ *     quiet hours and the per-channel daily budget, in the server's timezone, rule channels out;
+ *  3. the candidate whose past nudges of that kind got answered most often wins.
+ * A nudge counts as engaged when a human speaks in the channel within ENGAGE_WINDOW_MS.
+ */
+const FILE = 'proactive.json';
+const INTERVAL_MS = Number(process.env.ROXI_PROACTIVE_INTERVAL_MS || 90000);
+const ENGAGE_WINDOW_MS = 10 * 60_000;
+const REVIVE_MAX_IDLE_MS = 7 * 86_400_000; // channels dead for longer stay dead
+const STARTER_MEMORY = 5;
+const STATS_HALF_AT = 40; // halve old counts so rates follow the group's current mood
+
+// channelId -> { chime: {sent, engaged}, revive: {sent, engaged}, day, today, lastAt, awaiting, starters }
+const state = loadJson(FILE, {});
+
+const nudges = counter('roxi_proactive_total', 'Proactive nudges by kind and outcome');
+const engagedTotal = counter('roxi_proactive_engaged_total', 'Proactive nudges answered by a human');
+
+const blankEntry = () => ({
+  chime: { sent: 0, engaged: 0 },
+  revive: { sent: 0, engaged: 0 },
+  day: '', today: 0, lastAt: 0, awaiting: null, starters: [],
+});
+
+function entryFor(channelId) {
+  return (state[channelId] ??= blankEntry());
+}
+
+/** Expected response rate, starting every channel at an even 1-in-2. */
+function responseRate(stats) {
+  return (stats.engaged + 1) / (stats.sent + 2);
+}
+
+const clocks = new Map(); // timeZone -> Intl.DateTimeFormat
+
+/** { day: 'YYYY-MM-DD', hour } at ts in the given IANA zone. */
+export function localClock(ts, timeZone) {
+  let fmt = clocks.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', hourCycle: 'h23' });
+    clocks.set(timeZone, fmt);
+  }
+  const p = Object.fromEntries(fmt.formatToParts(ts).map(x => [x.type, x.value]));
+  return { day: `${p.year}-${p.month}-${p.day}`, hour: Number(p.hour) };
+}
+
+/** range is "start-end" in local hours (may wrap midnight) or "off". */
+export function inQuietHours(hour, range) {
+  if (!range || range === 'off') return false;
+  const [from, to] = range.split('-').map(Number);
+  return from < to ? hour >= from && hour < to : hour >= from || hour < to;
+}
+
+function lastHumanAt(ch) {
+  // no recorded activity (never seen, or expired from the state backend): use the channel's last message
+  return lastHumanActivity.get(ch.id) || (ch.lastMessageId ? SnowflakeUtil.timestampFrom(ch.lastMessageId) : 0);
+}
+
+function canChime(ch) {
+  return !speakGate(ch, lastHumanActivity.get(ch.id) || 0) && !momentumGate(ch);
+}
+
+function canRevive(ch, entry, now) {
+  const afterMin = conf('reviveAfterMin', ch);
+  if (afterMin <= 0 || isMuted(ch) || !allowedByChannelList(ch)) return false;
+  const last = lastHumanAt(ch);
+  if (!last || now - last > REVIVE_MAX_IDLE_MS || now - last < afterMin * 60_000) return false;
+  if (entry.lastAt > last) return false; // already tried since anyone spoke; don't talk to an empty room
+  return now - (lastReplyPerChannel.get(ch.id) || 0) >= tunedCooldown(ch, now);
+}
+
+/** Channels of a guild Roxi could nudge right now, with the kind and expected response rate. */
+export function proactiveCandidates(guild, clientUser, now = Date.now()) {
+  const out = [];
+  for (const ch of guild.channels.cache.values()) {
+    if (!ch?.isTextBased?.() || ch.isThread?.()) continue;
+    if (!canSendInChannel(ch, clientUser) || isHushed(ch, now)) continue;
+    const { day, hour } = localClock(now, conf('timezone', ch));
+    if (inQuietHours(hour, conf('quietHours', ch))) continue;
+    const entry = state[ch.id] || blankEntry(); // stored only once Roxi actually nudges
+    if ((entry.day === day ? entry.today : 0) >= conf('proactiveDailyMax', ch)) continue;
+    const kind = canChime(ch) ? 'chime' : (canRevive(ch, entry, now) ? 'revive' : null);
+    if (kind) out.push({ ch, kind, rate: responseRate(entry[kind]), day });
+  }
+  return out.sort((a, b) => b.rate - a.rate || Math.random() - 0.5);
+}
+
+async function revive(ch, entry) {
+  const startedAt = Date.now();
+  const ctx = await buildContext(ch, null, { unprompted: true });
+  const text = await conversationStarter({
+    persona: conf('persona', ch),
+    channel: ch.name,
+    recent: ctx,
+    memory: conf('memory', ch) ? recall(ch, ctx.messages) : '',
+    avoid: entry.starters,
+    language: languageFor(ch, ctx.messages.filter(m => !m.isBot).map(m => m.content)),
+  });
+  if (!text) return 'empty';
+  const checked = moderateOutput(text, ch);
+  if (checked.action === 'refuse') return 'refused';
+  // someone spoke up meanwhile: the channel no longer needs reviving
+  const out = await post(ch, { content: checked.text, allowedMentions: { parse: [] } }, { reason: 'proactive', since: startedAt, maxNewMessages: 1 });
+  if (out.state !== 'delivered') return out.state === 'stale' ? 'stale' : 'send_failed';
+  markReplied(ch.id, out.messages[0].id);
+  entry.starters = [...entry.starters, text].slice(-STARTER_MEMORY);
+  return 'sent';
+}
+
+function recordNudge(entry, kind, day, now) {
+  const stats = entry[kind];
+  if (stats.sent >= STATS_HALF_AT) {
+    stats.sent = Math.round(stats.sent / 2);
+    stats.engaged = Math.round(stats.engaged / 2);
+  }
+  stats.sent++;
+  entry.today = entry.day === day ? entry.today + 1 : 1;
+  entry.day = day;
+  entry.lastAt = now;
+  entry.awaiting = { kind, at: now };
+}
+
+/** Call for every human message; answers the channel's pending nudge if there is one. */
+export function noteHumanForProactive(channelId, ts = Date.now()) {
+  const entry = state[channelId];
+  if (!entry?.awaiting) return;
+  const { kind, at } = entry.awaiting;
+  entry.awaiting = null;
+  if (ts - at <= ENGAGE_WINDOW_MS) {
+    entry[kind].engaged++;
+    engagedTotal.inc({ kind });
+    log('info', { evt: 'proactive_engaged', channelId, kind, afterMs: ts - at });
+  }
+  saveJson(FILE, state);
+}
+
+/**
+ * Pick and send at most one nudge per guild.
+ * hooks: { present(guild) → bool, chime(channel) → outcome } (the reply path lives in index.js)
+ */
+async function tick(client, hooks) {
+  const now = Date.now();
+  for (const guild of client.guilds.cache.values()) {
+    if (!hooks.present(guild)) continue;
+    if (Math.random() > conf('proactiveProbability', { guildId: guild.id })) continue;
+    const [best] = proactiveCandidates(guild, client.user, now);
+    if (!best) continue;
+    const entry = entryFor(best.ch.id);
+    const outcome = best.kind === 'chime' ? await hooks.chime(best.ch) : await revive(best.ch, entry);
+    if (outcome === 'sent') recordNudge(entry, best.kind, best.day, now);
+    saveJson(FILE, state);
+    nudges.inc({ kind: best.kind, outcome });
+    log('info', { evt: 'proactive', channel: best.ch.name, kind: best.kind, rate: Number(best.rate.toFixed(2)), outcome });
+  }
+}
+
+let running = false;
+
+/** Start the ticker (call once the client is ready). */
+export function startProactive(client, hooks) {
+  if (INTERVAL_MS <= 0) return;
+  setInterval(() => {
+    if (running) return; // a slow model must not stack nudges
+    running = true;
+    tick(client, hooks)
+      .catch(e => log('error', { evt: 'proactive_error', err: e?.message || String(e) }))
+      .finally(() => { running = false; });
+  }, INTERVAL_MS);
+}
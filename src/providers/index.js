@@ -0,0 +1,247 @@
+import { createOllama } from './ollama.js';
+import { createOpenAI } from './openai.js';
+import { log } from '../utils.js';
+import { counter, histogram, gauge } from '../metrics.js';
+
+/**
+ * Provider registry with an ordered fallback chain and a circuit breaker per provider.
+ *
+ * Chain config (env):
+ *   ROXI_AI_CHAIN=local,backup,cloud          ordered provider names
+ *   ROXI_AI_<NAME>_KIND=ollama|openai|vllm|llamacpp
+ *   ROXI_AI_<NAME>_URL, ROXI_AI_<NAME>_MODEL, ROXI_AI_<NAME>_API_KEY
+ *   ROXI_AI_<NAME>_NUM_CTX=8192               context window to use (default: see contextFor below)
+ *   ROXI_AI_<NAME>_VISION=1                   model accepts images (llava, gpt-4o, ...)
+ *   ROXI_AI_<NAME>_TOOLS=1                    model supports function calling (qwen2.5, llama3.1, gpt-4o, ...)
+ *
+ * Without ROXI_AI_CHAIN the legacy single-provider settings apply
+ * (ROXI_AI_PROVIDER + OLLAMA_* / OPENAI_*, OLLAMA_VISION / OPENAI_VISION, OLLAMA_TOOLS / OPENAI_TOOLS,
+ * OLLAMA_NUM_CTX / OPENAI_NUM_CTX).
+ *
+ * An adapter is a factory returning { name, kind, model, vision, tools, contextWindow, chat(req) → text, health() → bool }.
+ * Chat messages may carry `images: [{ mime, data (base64) }]`; they are stripped before
+ * reaching adapters without vision, which then only see the "[sent an image]" markers.
+ * With req.tools, tool-capable adapters return { text, toolCalls: [{ id, name, args }] };
+ * others get no tools and see earlier tool results as plain text.
+ */
+/**
+ * Context windows (tokens) by model name, first match wins; ROXI_AI_MODEL_CONTEXT adds
+ * or overrides entries ("qwen2.5:14b=16384,phi3=4096", matched as name prefixes).
+ * Without an explicit NUM_CTX the window is capped at ROXI_AI_MAX_CONTEXT: a local model
+ * allocates all of it, and prompt time grows with what ai.js fills it with.
+ */
+const MODEL_CONTEXT = [
+  [/^(gpt-4o|gpt-4\.1|gpt-4-turbo|o[134])/, 128000],
+  [/^gpt-3\.5/, 16385],
+  [/^(llama3\.[123]|mistral-nemo|gemma3|phi3\.5)/, 131072],
+  [/^(qwen2\.5|qwen3|mistral|mixtral)/, 32768],
+  [/^(llama3|gemma2)/, 8192],
+  [/^phi4/, 16384],
+  [/^(phi3|llava)/, 4096],
+];
+const UNKNOWN_CONTEXT = 4096;
+const MAX_CONTEXT = Number(process.env.ROXI_AI_MAX_CONTEXT || 8192);
+
+const contextOverrides = (process.env.ROXI_AI_MODEL_CONTEXT || '').split(',').map((pair) => {
+  const [prefix, tokens] = pair.split('=').map(s => s.trim());
+  return prefix && Number(tokens) > 0 ? [prefix.toLowerCase(), Number(tokens)] : null;
+}).filter(Boolean);
+
+/** Context window for a model: NUM_CTX if set, else the override or table entry, capped. */
+export function contextFor(model, numCtx) {
+  if (numCtx) return numCtx;
+  const name = String(model || '').toLowerCase().replace(/^.*\//, ''); // "library/qwen2.5" → "qwen2.5"
+  const override = contextOverrides.find(([prefix]) => name.startsWith(prefix));
+  if (override) return override[1];
+  return Math.min(MAX_CONTEXT, MODEL_CONTEXT.find(([re]) => re.test(name))?.[1] || UNKNOWN_CONTEXT);
+}
+
+const ADAPTERS = {
+  ollama: (o, model = o.model || 'qwen2.5:3b-instruct') => createOllama({ name: o.name, url: o.url, model, numCtx: contextFor(model, o.numCtx), vision: o.vision, tools: o.tools }),
+  openai: (o, model = o.model || 'gpt-4o-mini') => createOpenAI({ name: o.name, baseUrl: o.url, apiKey: o.apiKey, model, contextWindow: contextFor(model, o.numCtx), vision: o.vision, tools: o.tools }),
+  vllm:   (o) => createOpenAI({ name: o.name, baseUrl: o.url || 'http://127.0.0.1:8000/v1', apiKey: o.apiKey, model: o.model, contextWindow: contextFor(o.model, o.numCtx), vision: o.vision, tools: o.tools }),
+  llamacpp: (o, model = o.model || 'default') => createOpenAI({ name: o.name, baseUrl: o.url || 'http://127.0.0.1:8080/v1', apiKey: o.apiKey, model, contextWindow: contextFor(model, o.numCtx), vision: o.vision, tools: o.tools }),
+};
+
+const BREAKER_FAILS       = Number(process.env.ROXI_AI_BREAKER_FAILS || 3);
+const BREAKER_COOLDOWN_MS = Number(process.env.ROXI_AI_BREAKER_COOLDOWN_MS || 60000);
+
+const aiLatency = histogram('roxi_ai_request_seconds', 'AI request duration by provider and purpose');
+const aiTtft    = histogram('roxi_ai_ttft_seconds', 'Time to first streamed token', [0.25, 0.5, 1, 2, 4, 8, 15]);
+const aiErrors  = counter('roxi_ai_errors_total', 'Failed AI requests by provider');
+const aiTimeouts = counter('roxi_ai_timeouts_total', 'AI requests aborted by a timeout, by provider');
+
+// Adapters abort with 'ttft' / 'total' as the reason; fetch rejects with that value.
+const isTimeout = (e) => e === 'ttft' || e === 'total' || e?.name === 'AbortError' || e?.name === 'TimeoutError';
+
+export function registerAdapter(kind, factory) {
+  ADAPTERS[kind] = factory;
+}
+
+const isOn = (v) => /^(1|true|on|yes)$/i.test(v || '');
+
+function chainFromEnv() {
+  const names = (process.env.ROXI_AI_CHAIN || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (names.length) {
+    return names.map((name) => {
+      const env = (k) => process.env[`ROXI_AI_${name.toUpperCase()}_${k}`];
+      return {
+        name,
+        kind: (env('KIND') || 'ollama').toLowerCase(),
+        url: env('URL'),
+        model: env('MODEL'),
+        apiKey: env('API_KEY'),
+        numCtx: env('NUM_CTX') ? Number(env('NUM_CTX')) : undefined,
+        vision: isOn(env('VISION')),
+        tools: isOn(env('TOOLS')),
+      };
+    });
+  }
+  const legacy = (process.env.ROXI_AI_PROVIDER || 'ollama').toLowerCase();
+  return [legacy === 'openai'
+    ? { name: 'openai', kind: 'openai', url: process.env.OPENAI_BASE_URL, model: process.env.OPENAI_MODEL, apiKey: process.env.OPENAI_API_KEY, numCtx: Number(process.env.OPENAI_NUM_CTX) || undefined, vision: isOn(process.env.OPENAI_VISION), tools: isOn(process.env.OPENAI_TOOLS) }
+    : { name: 'ollama', kind: 'ollama', url: process.env.OLLAMA_URL, model: process.env.OLLAMA_MODEL, numCtx: Number(process.env.OLLAMA_NUM_CTX) || undefined, vision: isOn(process.env.OLLAMA_VISION), tools: isOn(process.env.OLLAMA_TOOLS) }];
+}
+
+const chain = []; // [{ adapter, state, failures, openedAt, healthy, lastError, lastLatencyMs, answered }]
+
+/** Drop the configured chain (replay harness swaps in a stub). */
+export function resetProviders() {
+  chain.length = 0;
+}
+
+export function addProvider(adapter) {
+  chain.push({ adapter, state: 'closed', failures: 0, openedAt: 0, healthy: null, lastError: '', lastLatencyMs: 0, answered: 0 });
+}
+
+for (const spec of chainFromEnv()) {
+  const factory = ADAPTERS[spec.kind];
+  if (!factory) { log('error', { evt: 'ai_unknown_kind', provider: spec.name, kind: spec.kind }); continue; }
+  addProvider(factory(spec));
+}
+
+const stripImages = (messages) => messages.map(({ images, ...m }) => m);
+
+// For adapters without function calling: drop the call turns, keep the results as context.
+const stripToolTurns = (messages) => messages
+  .filter(m => !m.toolCalls?.length || m.content)
+  .map(({ toolCalls, toolCallId, ...m }) => (m.role === 'tool' ? { role: 'user', content: `[${m.name} result] ${m.content}` } : m));
+
+function allows(p) {
+  if (p.state !== 'open') return true;
+  if (Date.now() - p.openedAt >= BREAKER_COOLDOWN_MS) { p.state = 'half-open'; return true; }
+  return false;
+}
+
+function succeeded(p, ms) {
+  if (p.state !== 'closed') log('info', { evt: 'ai_breaker_close', provider: p.adapter.name });
+  p.state = 'closed';
+  p.failures = 0;
+  p.healthy = true;
+  p.lastLatencyMs = ms;
+  p.answered++;
+}
+
+function failed(p, err) {
+  p.failures++;
+  p.lastError = err?.message || String(err);
+  if (p.state === 'half-open' || p.failures >= BREAKER_FAILS) {
+    p.state = 'open';
+    p.openedAt = Date.now();
+    log('warn', { evt: 'ai_breaker_open', provider: p.adapter.name, failures: p.failures, err: p.lastError });
+  }
+}
+
+/**
+ * Run a chat request down the chain. Providers with an open breaker are skipped;
+ * ones that failed their last health check go last.
+ * req.onToken(piece) receives streamed text; req.onReset() fires when a provider failed
+ * mid-stream and the next one starts over.
+ * Returns { text, toolCalls, provider, ms }; throws when every provider failed.
+ * tag: free-form fields for the answer log (purpose, channel, ...).
+ */
+export async function complete(req, tag = {}) {
+  const order = chain.filter(allows).sort((a, b) => (a.healthy === false) - (b.healthy === false));
+  if (!order.length) throw new Error('no AI provider available (all breakers open)');
+
+  let lastErr;
+  for (const p of order) {
+    const t0 = Date.now();
+    const provider = p.adapter.name;
+    const onFirstToken = () => aiTtft.observe({ provider }, (Date.now() - t0) / 1000);
+    let streamed = false;
+    const onToken = req.onToken && ((piece) => { streamed = true; req.onToken(piece); });
+    try {
+      let messages = p.adapter.vision ? req.messages : stripImages(req.messages);
+      if (!p.adapter.tools) messages = stripToolTurns(messages);
+      const tools = p.adapter.tools ? req.tools : undefined;
+      const out = await p.adapter.chat({ ...req, messages, tools, onFirstToken, onToken });
+      const { text, toolCalls = [] } = typeof out === 'string' ? { text: out } : out;
+      const ms = Date.now() - t0;
+      succeeded(p, ms);
+      aiLatency.observe({ provider, purpose: tag.purpose || 'other' }, ms / 1000);
+      log('info', { evt: 'ai_answer', provider, model: p.adapter.model, ms, tools: toolCalls.length || undefined, ...tag });
+      return { text, toolCalls, provider, ms };
+    } catch (e) {
+      failed(p, e);
+      lastErr = e;
+      if (streamed) req.onReset?.(); // the next provider starts the answer over
+      aiErrors.inc({ provider });
+      if (isTimeout(e)) aiTimeouts.inc({ provider });
+      log('warn', { evt: 'ai_provider_fail', provider, ms: Date.now() - t0, err: p.lastError, ...tag });
+    }
+  }
+  throw lastErr;
+}
+
+/** Probe every provider; an open breaker whose backend answers gets a trial again. */
+export async function checkHealth() {
+  await Promise.all(chain.map(async (p) => {
+    try { p.healthy = !!(await p.adapter.health()); }
+    catch { p.healthy = false; }
+    if (p.healthy && p.state === 'open') p.state = 'half-open';
+  }));
+  return chain.some(p => p.healthy);
+}
+
+gauge('roxi_ai_breaker_open', 'Whether the provider circuit breaker is open (1) or not (0)',
+  () => chain.map(p => ({ labels: { provider: p.adapter.name }, value: p.state === 'open' ? 1 : 0 })));
+gauge('roxi_ai_healthy', 'Last health probe result per provider (1 healthy, 0 not, -1 unknown)',
+  () => chain.map(p => ({ labels: { provider: p.adapter.name }, value: p.healthy === null ? -1 : Number(p.healthy) })));
+
+/**
+ * Context window of the provider that would answer now (the first usable one in the chain);
+ * ai.js fits prompts to it. A fallback with a smaller window gets the same prompt and may
+ * have to cut its oldest part.
+ */
+export function contextWindow() {
+  const p = chain.filter(p => p.state !== 'open').sort((a, b) => (a.healthy === false) - (b.healthy === false))[0] || chain[0];
+  return p?.adapter.contextWindow || UNKNOWN_CONTEXT;
+}
+
+/** True if a provider that can take images is currently usable (worth downloading them). */
+export function visionAvailable() {
+  return chain.some(p => p.adapter.vision && p.state !== 'open');
+}
+
+/** True if a usable provider supports function calling. */
+export function toolsAvailable() {
+  return chain.some(p => p.adapter.tools && p.state !== 'open');
+}
+
+export function providerStatus() {
+  return chain.map(p => ({
+    name: p.adapter.name,
+    kind: p.adapter.kind,
+    model: p.adapter.model,
+    vision: Boolean(p.adapter.vision),
+    tools: Boolean(p.adapter.tools),
+    contextWindow: p.adapter.contextWindow || null,
+    breaker: p.state,
+    healthy: p.healthy,
+    failures: p.failures,
+    lastError: p.lastError,
+    lastLatencyMs: p.lastLatencyMs,
+    answered: p.answered,
+  }));
+}
@@ -0,0 +1,164 @@
+// Ollama adapter (/api/chat). Short replies stream and stop at the first full sentence;
+// long replies stream to the end (tokens go to onToken); summaries run non-streaming.
+
+const TTFT_TIMEOUT_MS  = Number(process.env.ROXI_TTFT_TIMEOUT_MS  || 15000);
+const TOTAL_TIMEOUT_MS = Number(process.env.ROXI_TOTAL_TIMEOUT_MS || 25000);
+const LONG_TIMEOUT_MS  = Number(process.env.ROXI_LONG_TIMEOUT_MS  || 60000);
+
+// Ollama takes images as a bare base64 list on the message (llava, llama3.2-vision, ...)
+// and tool calls/results in the OpenAI shape, with arguments as an object.
+const toOllamaMessages = (messages) => messages.map(({ images, toolCalls, toolCallId, ...m }) => {
+  if (toolCalls?.length) return { ...m, tool_calls: toolCalls.map(c => ({ function: { name: c.name, arguments: c.args } })) };
+  if (m.role === 'tool') return { role: 'tool', content: m.content, tool_name: m.name };
+  return images?.length ? { ...m, images: images.map(i => i.data) } : m;
+});
+
+const parseArgs = (a) => {
+  if (typeof a !== 'string') return a || {};
+  try { return JSON.parse(a); } catch { return {}; }
+};
+
+/**
+ * opts: { name, url, model, numCtx, vision, tools }
+ */
+export function createOllama({ name = 'ollama', url, model, numCtx = 2048, vision = false, tools = false }) {
+  const base = (url || 'http://0.0.0.0:11434').replace(/\/+$/,'');
+
+  async function chatStream({ messages, maxTokens, temperature, seed, stop, firstSentence, onFirstToken, onToken }) {
+    const body = {
+      model,
+      messages: toOllamaMessages(messages),
+      stream: true,
+      options: {
+        temperature,
+        num_predict: maxTokens,
+        num_ctx: numCtx,
+        keep_alive: '2h',
+        ...(seed !== undefined ? { seed } : {}),
+        ...(stop?.length ? { stop } : {}),
+      }
+    };
+
+    const controller = new AbortController();
+    const ttftTimer  = setTimeout(() => controller.abort('ttft'),  TTFT_TIMEOUT_MS);
+    const totalTimer = setTimeout(() => controller.abort('total'), firstSentence ? TOTAL_TIMEOUT_MS : LONG_TIMEOUT_MS);
+
+    const res = await fetch(`${base}/api/chat`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', 'connection': 'keep-alive' },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    }).catch(e => { clearTimeout(ttftTimer); clearTimeout(totalTimer); throw e; });
+
+    clearTimeout(ttftTimer);
+    if (!res.ok) {
+      clearTimeout(totalTimer);
+      const text = await res.text().catch(()=> '');
+      throw new Error(`${name} HTTP ${res.status}: ${text.slice(0,200)}`);
+    }
+
+    let out = '';
+    let gotAny = false;
+    let buf = '';
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+
+    try {
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        gotAny = true;
+        buf += decoder.decode(value, { stream: true });
+        const lines = buf.split('\n');
+        buf = lines.pop(); // keep a partial JSON line for the next chunk
+        for (const line of lines) {
+          const s = line.trim();
+          if (!s) continue;
+          try {
+            const json = JSON.parse(s);
+            const piece = json?.message?.content || '';
+            if (piece) {
+              if (!out) onFirstToken?.();
+              out += piece;
+              onToken?.(piece);
+              const t = out.trim();
+              if (firstSentence && t.length >= 16 && /[.!?]\s?$/.test(t)) {
+                reader.cancel().catch(()=>{});
+                return t.split('\n')[0].slice(0, 300);
+              }
+            }
+          } catch { }
+        }
+      }
+    } finally {
+      clearTimeout(totalTimer);
+    }
+
+    const trimmed = (out || '').trim();
+    if (!trimmed && !gotAny) throw new Error(`${name} no-stream`);
+    return firstSentence ? trimmed.split('\n')[0].slice(0, 300) : trimmed;
+  }
+
+  async function chatOnce({ messages, maxTokens, temperature, seed, stop, tools }) {
+    const body = {
+      model,
+      messages: toOllamaMessages(messages),
+      stream: false,
+      ...(tools?.length ? { tools } : {}),
+      options: {
+        temperature,
+        num_predict: maxTokens,
+        num_ctx: Math.max(numCtx, 2048),
+        keep_alive: '2h',
+        ...(seed !== undefined ? { seed } : {}),
+        ...(stop?.length ? { stop } : {}),
+      }
+    };
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort('total'), TOTAL_TIMEOUT_MS * 2);
+    try {
+      const res = await fetch(`${base}/api/chat`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+      if (!res.ok) {
+        const t = await res.text().catch(()=> '');
+        throw new Error(`${name} HTTP ${res.status}: ${t.slice(0,200)}`);
+      }
+      const data = await res.json().catch(() => ({}));
+      const text = (data?.message?.content || '').trim();
+      if (!tools?.length) return text;
+      const toolCalls = (data?.message?.tool_calls || []).map((c, i) => ({
+        id: `call_${i}`,
+        name: c.function?.name,
+        args: parseArgs(c.function?.arguments),
+      }));
+      return { text, toolCalls };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return {
+    name,
+    kind: 'ollama',
+    model,
+    contextWindow: numCtx,
+    vision,
+    tools,
+    /**
+     * req: { messages, maxTokens, temperature, seed, stop, firstSentence, onFirstToken, onToken, tools }
+     * With tools the call runs non-streaming and returns { text, toolCalls }.
+     */
+    chat(req) {
+      if (req.tools?.length) return chatOnce(req);
+      return req.firstSentence || req.onToken ? chatStream(req) : chatOnce(req);
+    },
+    async health() {
+      const r = await fetch(`${base}/api/tags`);
+      return r.ok;
+    },
+  };
+}
@@ -0,0 +1,122 @@
+// OpenAI-compatible adapter (/chat/completions). Also covers vLLM and
+// llama.cpp-server, which expose the same API under their own base URL.
+
+const TOTAL_TIMEOUT_MS = Number(process.env.ROXI_TOTAL_TIMEOUT_MS || 25000);
+const LONG_TIMEOUT_MS  = Number(process.env.ROXI_LONG_TIMEOUT_MS  || 60000);
+
+// Images become content parts with data: URLs next to the text; tool calls/results
+// map onto tool_calls / role "tool" messages.
+const toOpenAIMessages = (messages) => messages.map(({ images, toolCalls, toolCallId, ...m }) => {
+  if (toolCalls?.length) {
+    return {
+      role: 'assistant',
+      content: m.content || null,
+      tool_calls: toolCalls.map(c => ({ id: c.id, type: 'function', function: { name: c.name, arguments: JSON.stringify(c.args) } })),
+    };
+  }
+  if (m.role === 'tool') return { role: 'tool', tool_call_id: toolCallId, content: m.content };
+  return images?.length
+    ? { ...m, content: [
+        { type: 'text', text: m.content },
+        ...images.map(i => ({ type: 'image_url', image_url: { url: `data:${i.mime};base64,${i.data}` } })),
+      ] }
+    : m;
+});
+
+const parseArgs = (a) => {
+  try { return JSON.parse(a || '{}'); } catch { return {}; }
+};
+
+/** Read a /chat/completions SSE stream ("data: {...}" lines, ending with "data: [DONE]"). */
+async function readStream(res, { onFirstToken, onToken }) {
+  let out = '';
+  let buf = '';
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buf += decoder.decode(value, { stream: true });
+    const lines = buf.split('\n');
+    buf = lines.pop();
+    for (const line of lines) {
+      const s = line.trim();
+      if (!s.startsWith('data:')) continue;
+      const payload = s.slice(5).trim();
+      if (payload === '[DONE]') { reader.cancel().catch(()=>{}); return out; }
+      try {
+        const piece = JSON.parse(payload)?.choices?.[0]?.delta?.content || '';
+        if (!piece) continue;
+        if (!out) onFirstToken?.();
+        out += piece;
+        onToken(piece);
+      } catch { }
+    }
+  }
+  return out;
+}
+
+/**
+ * opts: { name, baseUrl, apiKey, model, contextWindow, vision, tools }
+ * apiKey is required only for api.openai.com; self-hosted servers usually skip it.
+ */
+export function createOpenAI({ name = 'openai', baseUrl, apiKey = '', model, contextWindow = 4096, vision = false, tools = false }) {
+  const base = (baseUrl || 'https://api.openai.com/v1').replace(/\/+$/,'');
+  const needsKey = /api\.openai\.com/.test(base);
+  const auth = apiKey ? { authorization: `Bearer ${apiKey}` } : {};
+
+  return {
+    name,
+    kind: 'openai',
+    model,
+    contextWindow,
+    vision,
+    tools,
+    /**
+     * req: { messages, maxTokens, temperature, seed, stop, firstSentence, onFirstToken, onToken, tools }
+     * With onToken the answer streams (SSE) and every delta is handed over as it arrives.
+     * With tools the call is non-streaming and returns { text, toolCalls }.
+     */
+    async chat({ messages, maxTokens, temperature, seed, stop, firstSentence, onFirstToken, onToken, tools: toolSpecs }) {
+      if (toolSpecs?.length) onToken = undefined;
+      if (needsKey && !apiKey) throw new Error(`${name}: missing API key`);
+      const body = {
+        model,
+        temperature,
+        max_tokens: maxTokens,
+        messages: toOpenAIMessages(messages),
+        ...(seed !== undefined ? { seed } : {}),
+        ...(stop?.length ? { stop: stop.slice(0, 4) } : {}),
+        ...(onToken ? { stream: true } : {}),
+        ...(toolSpecs?.length ? { tools: toolSpecs } : {}),
+      };
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort('total'), firstSentence === false ? LONG_TIMEOUT_MS : TOTAL_TIMEOUT_MS);
+      try {
+        const res = await fetch(`${base}/chat/completions`, {
+          method: 'POST',
+          headers: { 'content-type': 'application/json', ...auth },
+          body: JSON.stringify(body),
+          signal: controller.signal,
+        });
+        if (!res.ok) {
+          const t = await res.text().catch(()=> '');
+          throw new Error(`${name} HTTP ${res.status}: ${t.slice(0,200)}`);
+        }
+        if (onToken) return (await readStream(res, { onFirstToken, onToken })).trim();
+        const data = await res.json().catch(() => ({}));
+        const msg = data?.choices?.[0]?.message;
+        const text = (msg?.content || '').trim();
+        if (!toolSpecs?.length) return text;
+        const toolCalls = (msg?.tool_calls || []).map(c => ({ id: c.id, name: c.function?.name, args: parseArgs(c.function?.arguments) }));
+        return { text, toolCalls };
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+    async health() {
+      const r = await fetch(`${base}/models`, { headers: auth });
+      return r.ok;
+    },
+  };
+}
@@ -0,0 +1,104 @@
+// Reply quality guard: checks a generated reply before it is sent and keeps Roxi's recent
+// replies per channel, so ai.js can regenerate ones that repeat her, echo the user,
+// degenerate into loops or leak the prompt.
+import { counter } from './metrics.js';
+import { sharedMap } from './state/index.js';
+import { log } from './utils.js';
+
+export const QUALITY_RETRIES = Number(process.env.ROXI_QUALITY_RETRIES || 2);
+const SIMILARITY = Number(process.env.ROXI_QUALITY_SIMILARITY || 0.6); // near-duplicate at or above this
+const HISTORY = 20;     // replies kept per channel
+const ECHO = 0.8;       // share of the reply found in the message it answers
+const LEAK_WORDS = 6;   // a run this long copied from the prompt is a leak
+
+const history = sharedMap('replies'); // channelId -> [{ text, at }] (oldest first)
+const rejected = counter('roxi_reply_rejected_total', 'Generated replies rejected by the quality guard, by reason');
+
+const words = (s) => String(s || '').toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+
+/** Character trigrams of the normalized text: cheap, typo- and language-tolerant. */
+function trigrams(s) {
+  const flat = ` ${words(s).join(' ')} `;
+  const out = new Set();
+  for (let i = 0; i < flat.length - 2; i++) out.add(flat.slice(i, i + 3));
+  return out;
+}
+
+const overlap = (a, b) => { let n = 0; for (const g of a) if (b.has(g)) n++; return n; };
+
+/** Jaccard similarity of two texts' trigrams (0-1). */
+export function similarity(a, b) {
+  const ga = trigrams(a), gb = trigrams(b);
+  const n = overlap(ga, gb);
+  return n ? n / (ga.size + gb.size - n) : 0;
+}
+
+function degenerate(text) {
+  if (!/[\p{L}\p{N}]/u.test(text)) return 'no words';
+  if (/(.)\1{11,}/u.test(text)) return 'character run';
+  const w = words(text);
+  if (w.length >= 6 && new Set(w).size / w.length < 0.4) return 'word loop';
+  return null;
+}
+
+// Transcript and prompt scaffolding from ai.js that should never show up in a reply
+const SCAFFOLD = /^\s*(?:>>|recent chat:|earlier in this reply chain|thread "|things you remember|(?:system|assistant|user)\s*:)|you are answering .{1,40}'s message|\(replying to /im;
+
+function leak(text, { prompt = [], speakers = [] }) {
+  const m = text.match(SCAFFOLD);
+  if (m) return m[0].trim();
+  const label = text.match(/^\s*([^:\n]{1,32}):/m);
+  if (label && speakers.some(s => s.toLowerCase() === label[1].trim().toLowerCase())) return `${label[1]}:`;
+  const w = words(text);
+  if (w.length < LEAK_WORDS) return null;
+  const source = ` ${prompt.map(p => words(p).join(' ')).join(' | ')} `;
+  for (let i = 0; i + LEAK_WORDS <= w.length; i++) {
+    const run = w.slice(i, i + LEAK_WORDS).join(' ');
+    if (source.includes(` ${run} `)) return run;
+  }
+  return null;
+}
+
+/**
+ * Problems with a reply, checked in order; null when it can go out.
+ * opts:
+ *  - channelId: whose reply history to compare against;
+ *  - earlier: Roxi's messages still in the context (covers replies from before a restart);
+ *  - answering: the human message(s) being answered, for echo detection;
+ *  - prompt: instruction texts that must not be copied out;
+ *  - speakers: names in the transcript ("Titus:" opening a reply means it continued the chat log).
+ * Returns { reason: 'degenerate' | 'leak' | 'echo' | 'duplicate', detail }.
+ */
+export function checkReply(text, { channelId = null, earlier = [], answering = [], prompt = [], speakers = [] } = {}) {
+  const broken = degenerate(text);
+  if (broken) return { reason: 'degenerate', detail: broken };
+
+  const leaked = leak(text, { prompt, speakers });
+  if (leaked) return { reason: 'leak', detail: leaked };
+
+  const mine = trigrams(text);
+  for (const msg of answering) {
+    const theirs = trigrams(msg);
+    const same = words(text).join(' ') === words(msg).join(' ');
+    if (same || (words(text).length >= 3 && overlap(mine, theirs) / mine.size >= ECHO)) return { reason: 'echo', detail: msg.slice(0, 80) };
+  }
+
+  const past = [...(history.get(channelId) || []).map(r => r.text), ...earlier];
+  for (const prev of past) {
+    if (similarity(text, prev) >= SIMILARITY) return { reason: 'duplicate', detail: prev };
+  }
+  return null;
+}
+
+/** Count and log a rejection (the caller decides whether to retry). */
+export function noteRejected(channelId, problem, attempt, text) {
+  rejected.inc({ reason: problem.reason });
+  log('info', { evt: 'reply_rejected', channelId, reason: problem.reason, detail: String(problem.detail).slice(0, 80), attempt, text: text.slice(0, 80) });
+}
+
+/** Remember a reply that passed, for the next duplicate check in the channel. */
+export function rememberReply(channelId, text) {
+  if (!channelId) return;
+  const list = [...(history.get(channelId) || []), { text: text.slice(0, 500), at: Date.now() }];
+  history.set(channelId, list.slice(-HISTORY));
+}
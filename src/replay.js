@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+// Offline replay: run a chat log through the reply decision engine (decide.js)
+// with a virtual clock and a stub AI provider, and report when and why Roxi speaks.
+//
+// Usage: node src/replay.js <log.jsonl> [--set key=value]... [--seed n] [--latency ms] [--json] [--data dir]
+//
+// Log lines: { "ts": ms | ISO, "channel": "general", "author": "Titus", "authorId"?: "1",
+//              "content": "...", "mention"?: true, "replyToRoxi"?: true, "thread"?: true }
+// --set applies /roxi config overrides (server scope) before the replay.
+// --data replays against an existing data dir (config, mutes) instead of a throwaway one.
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+
+const { values: opts, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    set:     { type: 'string', multiple: true, default: [] },
+    seed:    { type: 'string', default: '1' },
+    latency: { type: 'string', default: '1500' },
+    json:    { type: 'boolean', default: false },
+    data:    { type: 'string' },
+  },
+});
+
+if (!positionals[0]) {
+  console.error('usage: node src/replay.js <log.jsonl> [--set key=value]... [--seed n] [--latency ms] [--json] [--data dir]');
+  process.exit(2);
+}
+
+// Must be in place before the engine modules load their state.
+process.env.ROXI_DATA_DIR = opts.data
+  ? path.resolve(opts.data)
+  : fs.mkdtempSync(path.join(os.tmpdir(), 'roxi-replay-'));
+process.env.ROXI_LOG_LEVEL ??= 'warn';
+process.env.ROXI_STATE = 'memory'; // never touch a live bot's cooldowns or activity
+
+const { onHumanMessage, markReplied } = await import('./decide.js');
+const { setConf, conf } = await import('./config.js');
+const { generateReply } = await import('./ai.js');
+const { languageFor } = await import('./i18n.js');
+const { resetProviders, addProvider } = await import('./providers/index.js');
+
+if (!opts.data) {
+  // registered after store.js's flush-on-exit hook, so the throwaway dir goes last
+  process.on('exit', () => fs.rmSync(process.env.ROXI_DATA_DIR, { recursive: true, force: true }));
+}
+
+const GUILD_ID = 'replay';
+
+for (const pair of opts.set) {
+  const i = pair.indexOf('=');
+  if (i < 0) { console.error(`--set expects key=value, got "${pair}"`); process.exit(2); }
+  try { setConf(pair.slice(0, i), pair.slice(i + 1), { level: 'server', id: GUILD_ID }); }
+  catch (e) { console.error(`--set ${pair}: ${e.message}`); process.exit(2); }
+}
+
+// Stub provider: deterministic text, no network.
+resetProviders();
+addProvider({
+  name: 'stub',
+  kind: 'stub',
+  model: 'stub',
+  async chat({ messages }) {
+    const transcript = messages.find(m => m.role === 'user')?.content || '';
+    const last = transcript.split('\n').at(-1) || '';
+    return `stub reply to "${last.slice(0, 60)}".`;
+  },
+  async health() { return true; },
+});
+
+// mulberry32: seeded dice so runs are reproducible
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function parseTs(v) {
+  const n = typeof v === 'number' ? v : Date.parse(v);
+  if (!Number.isFinite(n)) throw new Error(`bad ts "${v}"`);
+  return n;
+}
+
+const roll = seededRandom(Number(opts.seed) || 1);
+const latencyMs = Number(opts.latency) || 0;
+const channels = new Map(); // name -> { channel, history: [], lastRoxiId }
+let roxiSeq = 0;
+
+function channelFor(name, isThread) {
+  if (!channels.has(name)) {
+    channels.set(name, {
+      channel: { id: `replay-${name}`, name, guildId: GUILD_ID, isThread: () => Boolean(isThread) },
+      history: [],
+      lastRoxiId: null,
+    });
+  }
+  return channels.get(name);
+}
+
+const lines = fs.readFileSync(positionals[0], 'utf8').split('\n');
+const results = [];
+
+for (const [i, raw] of lines.entries()) {
+  if (!raw.trim()) continue;
+  let entry;
+  try {
+    entry = JSON.parse(raw);
+    entry.ts = parseTs(entry.ts);
+  } catch (e) {
+    console.error(`line ${i + 1}: ${e.message}`);
+    process.exit(1);
+  }
+
+  const ch = channelFor(entry.channel || 'general', entry.thread);
+  const authorId = String(entry.authorId ?? entry.author);
+  ch.history.push({ uid: authorId, author: entry.author, content: entry.content || '', ts: entry.ts, isBot: false });
+
+  const decision = onHumanMessage({
+    channel: ch.channel,
+    authorId,
+    ts: entry.ts,
+    content: entry.content,
+    mentioned: Boolean(entry.mention),
+    replyToId: entry.replyToRoxi ? ch.lastRoxiId : null,
+  }, { now: entry.ts, roll });
+
+  const result = { line: i + 1, ts: entry.ts, channel: ch.channel.name, author: entry.author, content: entry.content, ...decision };
+
+  if (decision.reply) {
+    const text = await generateReply({
+      channel: `#${ch.channel.name}`,
+      recent: { messages: ch.history.slice(-25) },
+      persona: conf('persona', ch.channel),
+      language: languageFor(ch.channel, ch.history.slice(-25).filter(m => !m.isBot).map(m => m.content)),
+      quality: conf('qualityGuard', ch.channel) ? { channelId: ch.channel.id } : null,
+    });
+    const sentAt = entry.ts + latencyMs;
+    ch.lastRoxiId = `roxi-${++roxiSeq}`;
+    markReplied(ch.channel.id, ch.lastRoxiId, sentAt);
+    ch.history.push({ uid: 'roxi', author: 'bot', content: text, ts: sentAt, isBot: true });
+    result.text = text;
+  }
+  results.push(result);
+}
+
+/* ========== Report ========== */
+if (opts.json) {
+  for (const r of results) console.log(JSON.stringify(r));
+} else {
+  const fmt = (ts) => new Date(ts).toISOString().replace('T', ' ').slice(0, 19);
+  for (const r of results) {
+    const said = `${r.author}: ${String(r.content || '').replace(/\s+/g, ' ').slice(0, 50)}`;
+    const verdict = r.reply ? `→ REPLY (${r.trigger}) ${r.text}` : `· ${r.trigger}: ${r.gate}`;
+    console.log(`${fmt(r.ts)}  #${r.channel.padEnd(12)} ${said.padEnd(60)} ${verdict}`);
+  }
+
+  const count = (arr, key) => arr.reduce((m, r) => (m[r[key]] = (m[r[key]] || 0) + 1, m), {});
+  const replies = results.filter(r => r.reply);
+  const blocked = results.filter(r => !r.reply);
+  const list = (m) => Object.entries(m).sort((a, b) => b[1] - a[1]).map(([k, v]) => `${k} ${v}`).join(', ') || 'none';
+  console.log('');
+  console.log(`messages: ${results.length} · replies: ${replies.length} (${list(count(replies, 'trigger'))})`);
+  console.log(`blocked by: ${list(count(blocked, 'gate'))}`);
+}
@@ -0,0 +1,182 @@
+import { loadJson, saveJson } from './store.js';
+import { nextCron } from './cron.js';
+import { conf } from './config.js';
+import { isMuted, envMuted } from './mutes.js';
+import { allowedByChannelList } from './decide.js';
+import { moderateOutput } from './moderation.js';
+import { questionOfTheDay } from './ai.js';
+import { counter } from './metrics.js';
+import { post } from './outbox.js';
+import { t, languageFor } from './i18n.js';
+import { logId } from './privacy.js';
+import { canSendInChannel, log } from './utils.js';
+
+/**
+ * Persisted job scheduler: one-shot and cron-recurring jobs, polled so they survive restarts.
+ * Kinds:
+ *  - reminder → pings userId in channelId, or DMs them when dm is set (falls back to the channel)
+ *  - qotd     → a generated "question of the day" in channelId (one per channel)
+ *  - post     → a fixed announcement in channelId ("game night in 1h!")
+ * Jobs that came due while Roxi was offline fire once on boot, marked as late; recurring
+ * ones then continue from now rather than replaying every missed slot.
+ * Channel jobs are skipped (not queued) when the channel is muted or not on the allowlist;
+ * ROXI_MUTE=1 pauses the whole scheduler, so nothing is lost and it all fires as missed later.
+ * When sharded, each shard keeps its own job file and only runs the jobs of guilds it owns;
+ * jobs without a guild (DM reminders) run on shard 0, the one Discord sends DMs to.
+ */
+const FILE = 'scheduler.json';
+
+const CHECK_EVERY_MS = 15000;
+const LATE_AFTER_MS = 2 * CHECK_EVERY_MS;
+const MAX_PER_USER = Number(process.env.ROXI_REMINDERS_PER_USER || 10);
+export const MAX_DELAY_MS = 365 * 86_400_000;
+const QOTD_MEMORY = 7;
+
+// jobs: [{ id, kind, guildId, channelId, userId, dm, text, cron, nextAt, createdAt, lastRunAt, recent? }]
+const state = loadJson(FILE, { seq: 0, jobs: [] });
+
+const runs = counter('roxi_jobs_total', 'Scheduled job runs by kind and outcome');
+
+/**
+ * Add a job. Pass either dueAt (one-shot) or cron (recurring, already validated by toCron).
+ * A qotd job replaces the channel's existing one. Throws with a user-facing message.
+ */
+export function addJob({ kind, guildId = null, channelId = null, userId, dm = false, text = '', dueAt = null, cron = null }, now = Date.now()) {
+  if (!cron && !dueAt) throw new Error('a job needs a time or a schedule');
+  if (!dm && !channelId) throw new Error('a job needs a channel');
+  if (dueAt && dueAt - now > MAX_DELAY_MS) throw new Error('that is more than a year away');
+  if (kind === 'reminder' && state.jobs.filter(j => j.kind === 'reminder' && j.userId === userId).length >= MAX_PER_USER) {
+    throw new Error(`you already have ${MAX_PER_USER} reminders pending`);
+  }
+  if (kind === 'qotd') state.jobs = state.jobs.filter(j => !(j.kind === 'qotd' && j.channelId === channelId));
+  const job = {
+    id: ++state.seq, kind, guildId, channelId, userId, dm: Boolean(dm), text,
+    cron, nextAt: cron ? nextCron(cron, now) : dueAt, createdAt: now, lastRunAt: null,
+  };
+  state.jobs.push(job);
+  saveJson(FILE, state);
+  log('info', { evt: 'job_add', id: job.id, kind, channelId, dm: job.dm, cron, nextAt: job.nextAt, by: logId(userId) });
+  return job;
+}
+
+/** Jobs matching every given filter, soonest first. */
+export function listJobs({ guildId, channelId, userId, kind } = {}) {
+  return state.jobs
+    .filter(j => (guildId === undefined || j.guildId === guildId)
+      && (channelId === undefined || j.channelId === channelId)
+      && (userId === undefined || j.userId === userId)
+      && (kind === undefined || j.kind === kind))
+    .sort((a, b) => a.nextAt - b.nextAt);
+}
+
+/** Remove a job; filters restrict whose jobs may be cancelled. Returns the job or null. */
+export function cancelJob(id, { guildId, userId } = {}) {
+  const job = state.jobs.find(j => j.id === id
+    && (guildId === undefined || j.guildId === guildId)
+    && (userId === undefined || j.userId === userId));
+  if (!job) return null;
+  state.jobs = state.jobs.filter(j => j !== job);
+  saveJson(FILE, state);
+  log('info', { evt: 'job_cancel', id, kind: job.kind });
+  return job;
+}
+
+async function fetchChannel(client, id) {
+  if (!id) return null;
+  return client.channels.cache.get(id) || client.channels.fetch(id).catch(() => null);
+}
+
+/** Why Roxi may not post in this channel right now, or null. */
+function channelGate(ch, client) {
+  if (!ch?.isTextBased?.()) return 'channel_gone';
+  if (isMuted(ch)) return 'muted';
+  if (!allowedByChannelList(ch)) return 'not_allowlisted';
+  if (!canSendInChannel(ch, client.user)) return 'no_permission';
+  return null;
+}
+
+async function composeText(job, ch) {
+  if (job.kind !== 'qotd') return job.text;
+  const language = languageFor(ch);
+  const q = await questionOfTheDay({ persona: conf('persona', ch), channel: ch.name, recent: job.recent || [], language });
+  job.recent = [...(job.recent || []), q].slice(-QOTD_MEMORY);
+  return t(language, 'job.qotd', { question: q });
+}
+
+/** lateFrom: when a missed reminder was due, or null if it is on time. Worded in the language of the channel it was set in. */
+function reminderText(job, lateFrom, inDm) {
+  const lang = languageFor(job.channelId ? { id: job.channelId, guildId: job.guildId } : null);
+  const who = inDm ? '' : `<@${job.userId}> `;
+  const late = lateFrom ? t(lang, 'job.late', { at: Math.floor(lateFrom / 1000) }) : '';
+  return t(lang, 'job.reminder', { who, text: job.text, late });
+}
+
+async function sendDm(client, job, lateFrom) {
+  const dm = await client.users.fetch(job.userId).then(u => u.createDM()).catch(() => null);
+  if (!dm) return false;
+  const out = await post(dm, { content: reminderText(job, lateFrom, true) }, { reason: 'reminder' });
+  return out.state === 'delivered';
+}
+
+/** Deliver one due job; returns the outcome label. */
+async function deliver(client, job, lateFrom) {
+  if (job.kind === 'reminder' && job.dm) {
+    if (await sendDm(client, job, lateFrom)) return 'sent_dm';
+    if (!job.channelId) return 'dm_closed';
+  }
+  const ch = await fetchChannel(client, job.channelId);
+  const gate = channelGate(ch, client);
+  if (gate) return gate;
+
+  const raw = job.kind === 'reminder' ? reminderText(job, lateFrom, false) : await composeText(job, ch);
+  const mod = moderateOutput(raw, ch);
+  if (mod.action === 'refuse') return 'refused';
+  const mentions = job.kind === 'reminder' ? { users: [job.userId] } : { parse: [] };
+  const out = await post(ch, { content: mod.text, allowedMentions: mentions }, { reason: job.kind });
+  return out.state === 'delivered' ? 'sent' : 'send_failed';
+}
+
+let running = false;
+
+function ownedHere(client, job) {
+  if (!client.shard) return true;
+  return job.guildId ? client.guilds.cache.has(job.guildId) : client.shard.ids.includes(0);
+}
+
+async function runDue(client) {
+  if (running || envMuted()) return;
+  running = true;
+  try {
+    const now = Date.now();
+    const due = state.jobs.filter(j => j.nextAt <= now && ownedHere(client, j));
+    if (!due.length) return;
+    // advance (or drop) before sending, so a crash mid-delivery never repeats a job
+    const batch = due.map(job => ({ job, dueAt: job.nextAt }));
+    for (const job of due) {
+      job.lastRunAt = now;
+      job.nextAt = job.cron ? nextCron(job.cron, now) : null;
+    }
+    state.jobs = state.jobs.filter(j => j.nextAt);
+    saveJson(FILE, state);
+
+    for (const { job, dueAt } of batch) {
+      const late = now - dueAt > LATE_AFTER_MS;
+      const outcome = await deliver(client, job, late ? dueAt : null)
+        .catch((e) => { log('warn', { evt: 'job_fail', id: job.id, kind: job.kind, err: e?.message }); return 'error'; });
+      runs.inc({ kind: job.kind, outcome });
+      log('info', { evt: 'job_run', id: job.id, kind: job.kind, outcome, late, channelId: job.channelId, nextAt: job.nextAt });
+    }
+    saveJson(FILE, state); // qotd jobs remember what they asked
+  } finally {
+    running = false;
+  }
+}
+
+/** Start the polling loop (call once the client is ready); missed jobs fire right away. */
+export function startScheduler(client) {
+  const pending = state.jobs.filter(j => j.nextAt <= Date.now() && ownedHere(client, j)).length;
+  log('info', { evt: 'scheduler_start', jobs: state.jobs.length, missed: pending, paused: envMuted() });
+  runDue(client).catch(e => log('warn', { evt: 'scheduler_loop_fail', err: e?.message }));
+  const t = setInterval(() => runDue(client).catch(e => log('warn', { evt: 'scheduler_loop_fail', err: e?.message })), CHECK_EVERY_MS);
+  t.unref?.();
+}
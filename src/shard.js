@@ -0,0 +1,29 @@
+// Sharded launcher: `npm run start:sharded` runs one index.js process per shard.
+// Shards share conversational state and channel locks through ROXI_STATE (use redis://
+// when they run on more than one host); see state/index.js and store.js.
+import 'dotenv/config';
+import { fileURLToPath } from 'node:url';
+import { ShardingManager } from 'discord.js';
+import { log } from './utils.js';
+
+const TOKEN = process.env.DISCORD_TOKEN;
+if (!TOKEN) { console.error('❌ Missing DISCORD_TOKEN in .env'); process.exit(1); }
+
+// ROXI_SHARDS: a shard count, or "auto" to take Discord's recommendation
+const SHARDS = process.env.ROXI_SHARDS && process.env.ROXI_SHARDS !== 'auto' ? Number(process.env.ROXI_SHARDS) : 'auto';
+
+const manager = new ShardingManager(fileURLToPath(new URL('./index.js', import.meta.url)), {
+  token: TOKEN,
+  totalShards: SHARDS,
+  respawn: true,
+});
+
+manager.on('shardCreate', (shard) => {
+  log('info', { evt: 'shard_create', shard: shard.id, total: manager.totalShards });
+  shard.on('death', (p) => log('warn', { evt: 'shard_death', shard: shard.id, code: p?.exitCode ?? null }));
+});
+
+manager.spawn().catch((e) => {
+  console.error('❌ Shard spawn failed:', e?.message || e);
+  process.exit(1);
+});
@@ -1,7 +1,8 @@
-// Activity / sleep state (module-scoped)
-export const lastHumanActivity = new Map();  // channelId -> ts
-const activityWindow = new Map();            // channelId -> [{ts, uid}, ...]
-const speakerSet = new Map();                // channelId -> Set(userId)
+// Activity / sleep state (kept in the state backend, see state/index.js)
+import { sharedMap } from './state/index.js';
+
+export const lastHumanActivity = sharedMap('lastHuman'); // channelId -> ts
+const activityWindow = sharedMap('activity');            // channelId -> [{ts, uid}, ...]
 
 /**
  * Record activity for momentum tracking.
@@ -15,15 +16,12 @@ export function recordActivity(channelId, uid, ts, options) {
   const pruned = arr.filter(e => e.ts >= cutoff);
   pruned.push({ ts: now, uid });
   activityWindow.set(channelId, pruned);
-
-  const rebuilt = new Set(pruned.map(e => e.uid));
-  speakerSet.set(channelId, rebuilt);
   return pruned;
 }
 
 export function windowStats(channelId, opts) {
   const arr = activityWindow.get(channelId) || [];
-  const speakers = speakerSet.get(channelId) || new Set();
+  const speakers = new Set(arr.map(e => e.uid));
   const result = { count: arr.length, speakers: speakers.size };
   if (opts?.withSet) result.speakersSet = new Set(speakers);
   return result;
@@ -38,10 +36,24 @@ export function channelIsActive(channelId, options) {
 
 /**
  * Sleep after SLEEP_AFTER_MIN minutes of no human messages.
- * opts: { SLEEP_AFTER_MIN }
+ * opts: { SLEEP_AFTER_MIN, now }
  */
 export function isChannelSleeping(channelId, opts) {
   const last = lastHumanActivity.get(channelId) || 0;
   const ms = (opts?.SLEEP_AFTER_MIN ?? 60) * 60_000;
-  return Date.now() - last >= ms;
+  return (opts?.now ?? Date.now()) - last >= ms;
+}
+
+/** Drop one user from every momentum window (data deletion). */
+export function forgetSpeaker(uid) {
+  for (const [channelId, arr] of activityWindow) {
+    const kept = arr.filter(e => e.uid !== uid);
+    if (kept.length !== arr.length) activityWindow.set(channelId, kept);
+  }
+}
+
+/** Put a channel to sleep now; the next human message wakes it again. */
+export function forceSleep(channelId) {
+  lastHumanActivity.delete(channelId);
+  activityWindow.delete(channelId);
 }
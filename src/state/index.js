@@ -0,0 +1,113 @@
+// Shared runtime state: the conversational Maps (cooldowns, activity windows, ...) and
+// channel locks, kept in a backend so they survive restarts and can span processes.
+import os from 'node:os';
+import { randomBytes } from 'node:crypto';
+import { createLocalBackend } from './local.js';
+import { createRedisBackend } from './redis.js';
+import { log } from '../utils.js';
+
+/**
+ * ROXI_STATE picks the backend:
+ *  - file (default): state.json in the data dir (each shard process has its own), single host;
+ *  - memory: nothing survives a restart (the replay harness uses this);
+ *  - redis://[user:pass@]host:port[/db]: shared by every process and shard, keys under ROXI_STATE_PREFIX.
+ * Maps stay plain synchronous Maps for their callers: reads are local, writes go through
+ * to the backend in the background. With Redis, hydrateState() loads them at startup.
+ */
+const SPEC = process.env.ROXI_STATE || 'file';
+const PREFIX = process.env.ROXI_STATE_PREFIX || 'roxi';
+
+// set by discord.js' ShardingManager in each shard process (see shard.js)
+export const SHARD_ID = process.env.SHARDS !== undefined ? Number(process.env.SHARDS) : null;
+
+function createBackend() {
+  if (/^rediss?:\/\//.test(SPEC)) return createRedisBackend(SPEC, PREFIX);
+  if (SPEC === 'memory') return createLocalBackend(null);
+  if (SPEC !== 'file') log('warn', { evt: 'state_unknown_backend', spec: SPEC, using: 'file' });
+  return createLocalBackend('state.json');
+}
+
+const backend = createBackend();
+export const stateBackend = backend.kind;
+
+const DEFAULT_TTL_MS = 7 * 86_400_000; // a channel quiet for a week starts fresh
+const maps = [];
+
+// debug: a backend that is down already says so once
+const warn = (ns) => (e) => log('debug', { evt: 'state_write_fail', ns, err: e?.message });
+
+class SharedMap extends Map {
+  constructor(ns, ttlMs) {
+    super();
+    this.ns = ns;
+    this.ttlMs = ttlMs;
+  }
+
+  fill(rows) {
+    for (const [k, v] of rows) super.set(k, v);
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    backend.set(this.ns, key, value, this.ttlMs).catch(warn(this.ns));
+    return this;
+  }
+
+  delete(key) {
+    const had = super.delete(key);
+    if (had) backend.del(this.ns, key).catch(warn(this.ns));
+    return had;
+  }
+
+  clear() {
+    for (const key of [...this.keys()]) this.delete(key);
+  }
+}
+
+/**
+ * A Map whose entries live in the state backend under `ns`. Values must be JSON;
+ * keys are strings. Replace values instead of mutating them, or the change stays local.
+ */
+export function sharedMap(ns, { ttlMs = DEFAULT_TTL_MS } = {}) {
+  const m = new SharedMap(ns, ttlMs);
+  if (backend.loadSync) m.fill(backend.loadSync(ns));
+  maps.push(m);
+  return m;
+}
+
+/** Load every shared map from a remote backend; call once before handling events. */
+export async function hydrateState() {
+  if (!backend.load) return;
+  for (const m of maps) {
+    try {
+      m.fill(await backend.load(m.ns));
+    } catch (e) {
+      log('warn', { evt: 'state_hydrate_fail', ns: m.ns, err: e?.message });
+    }
+  }
+  log('info', { evt: 'state_hydrated', backend: backend.kind, maps: maps.map(m => `${m.ns}:${m.size}`) });
+}
+
+const OWNER = `${os.hostname()}:${process.pid}:${randomBytes(3).toString('hex')}`;
+let lockSeq = 0;
+const local = createLocalBackend(null); // fallback locks while a remote backend is down
+
+/**
+ * Run fn while holding `key` across every process sharing the backend.
+ * Returns undefined without running fn when someone else holds it. The lock expires
+ * after ttlMs in case its holder dies; if the backend is unreachable the local view decides.
+ */
+export async function withLock(key, ttlMs, fn) {
+  const token = `${OWNER}:${++lockSeq}`;
+  const got = await backend.acquire(key, token, ttlMs).catch((e) => {
+    log('warn', { evt: 'state_lock_fail', key, err: e?.message });
+    return local.acquire(key, token, ttlMs);
+  });
+  if (!got) return undefined;
+  try {
+    return await fn();
+  } finally {
+    backend.release(key, token).catch(() => {});
+    local.release(key, token).catch(() => {});
+  }
+}
@@ -0,0 +1,46 @@
+// In-process state backend. With a file name it persists to the data dir (one JSON
+// document, debounced like every other store); without one it is memory only.
+import { loadJson, saveJson } from '../store.js';
+
+export function createLocalBackend(file = null) {
+  const data = file ? loadJson(file, {}) : {}; // ns -> key -> { v, exp }
+  const locks = new Map();                      // key -> { owner, exp }
+  const save = () => { if (file) saveJson(file, data); };
+
+  return {
+    kind: file ? 'file' : 'memory',
+
+    /** Live entries of a namespace as [key, value]; expired ones are dropped on the way. */
+    loadSync(ns) {
+      const now = Date.now();
+      const rows = [];
+      for (const [k, e] of Object.entries(data[ns] || {})) {
+        if (e.exp && e.exp <= now) delete data[ns][k];
+        else rows.push([k, e.v]);
+      }
+      return rows;
+    },
+
+    async set(ns, key, value, ttlMs) {
+      (data[ns] ??= {})[key] = { v: value, exp: ttlMs ? Date.now() + ttlMs : 0 };
+      save();
+    },
+
+    async del(ns, key) {
+      if (!data[ns]?.[key]) return;
+      delete data[ns][key];
+      save();
+    },
+
+    async acquire(key, owner, ttlMs) {
+      const held = locks.get(key);
+      if (held && held.exp > Date.now() && held.owner !== owner) return false;
+      locks.set(key, { owner, exp: Date.now() + ttlMs });
+      return true;
+    },
+
+    async release(key, owner) {
+      if (locks.get(key)?.owner === owner) locks.delete(key);
+    },
+  };
+}
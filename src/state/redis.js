@@ -0,0 +1,178 @@
+// Redis-protocol state backend (Redis, Valkey, KeyDB, ...), speaking RESP over a plain
+// socket so there is no client library to install. URL: redis://[user:pass@]host:port[/db]
+import net from 'node:net';
+import { log } from '../utils.js';
+
+const CONNECT_TIMEOUT_MS = 5000;
+const SCAN_COUNT = 500;
+
+// delete the lock only if we still hold it
+const RELEASE_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end";
+
+function encode(args) {
+  let out = `*${args.length}\r\n`;
+  for (const a of args) {
+    const s = String(a);
+    out += `$${Buffer.byteLength(s)}\r\n${s}\r\n`;
+  }
+  return out;
+}
+
+/** Parse one reply at `i`; returns [value, next] or null when the buffer is incomplete. */
+function parse(buf, i = 0) {
+  const eol = buf.indexOf('\r\n', i);
+  if (eol < 0) return null;
+  const type = String.fromCharCode(buf[i]);
+  const line = buf.toString('utf8', i + 1, eol);
+  const next = eol + 2;
+  switch (type) {
+    case '+': return [line, next];
+    case '-': return [new Error(line), next];
+    case ':': return [Number(line), next];
+    case '$': {
+      const len = Number(line);
+      if (len < 0) return [null, next];
+      if (buf.length < next + len + 2) return null;
+      return [buf.toString('utf8', next, next + len), next + len + 2];
+    }
+    case '*': {
+      const n = Number(line);
+      if (n < 0) return [null, next];
+      const items = [];
+      let at = next;
+      for (let k = 0; k < n; k++) {
+        const r = parse(buf, at);
+        if (!r) return null;
+        items.push(r[0]);
+        at = r[1];
+      }
+      return [items, at];
+    }
+    default: throw new Error(`bad RESP type ${type}`);
+  }
+}
+
+/** A minimal pipelining client: one socket, replies matched to commands in order. */
+function createClient(url) {
+  const u = new URL(url);
+  const db = Number(u.pathname.slice(1) || 0);
+  let sock = null;
+  let ready = null;
+  let buf = Buffer.alloc(0);
+  const waiting = []; // [{ resolve, reject }]
+
+  function fail(err) {
+    sock?.destroy();
+    sock = null;
+    ready = null;
+    buf = Buffer.alloc(0);
+    for (const w of waiting.splice(0)) w.reject(err);
+  }
+
+  function send(args) {
+    return new Promise((resolve, reject) => {
+      waiting.push({ resolve, reject });
+      sock.write(encode(args));
+    });
+  }
+
+  function connect() {
+    ready ??= new Promise((resolve, reject) => {
+      const s = net.createConnection({ host: u.hostname || '127.0.0.1', port: Number(u.port || 6379) });
+      sock = s;
+      const timer = setTimeout(() => { reject(new Error('redis connect timeout')); fail(new Error('redis connect timeout')); }, CONNECT_TIMEOUT_MS);
+      s.setNoDelay(true);
+      s.on('data', (chunk) => {
+        buf = Buffer.concat([buf, chunk]);
+        let r;
+        try {
+          while (buf.length && (r = parse(buf))) {
+            buf = buf.subarray(r[1]);
+            const w = waiting.shift();
+            if (r[0] instanceof Error) w?.reject(r[0]); else w?.resolve(r[0]);
+          }
+        } catch (e) {
+          // a reply we can't parse leaves the stream out of step: drop the connection
+          if (sock === s) fail(e);
+        }
+      });
+      s.on('error', (e) => { clearTimeout(timer); reject(e); if (sock === s) fail(e); });
+      s.on('close', () => { if (sock === s) fail(new Error('redis connection closed')); });
+      s.on('connect', async () => {
+        clearTimeout(timer);
+        try {
+          if (u.password) await send(u.username ? ['AUTH', decodeURIComponent(u.username), decodeURIComponent(u.password)] : ['AUTH', decodeURIComponent(u.password)]);
+          if (db) await send(['SELECT', db]);
+          resolve();
+        } catch (e) {
+          reject(e);
+          fail(e);
+        }
+      });
+    });
+    return ready;
+  }
+
+  return {
+    async command(...args) {
+      await connect();
+      return send(args);
+    },
+    close() { fail(new Error('closed')); },
+  };
+}
+
+export function createRedisBackend(url, prefix) {
+  const client = createClient(url);
+  const k = (ns, key) => `${prefix}:${ns}:${key}`;
+  let down = false;
+
+  const note = (err) => {
+    if (!down) log('warn', { evt: 'state_redis_down', err: err?.message });
+    down = true;
+  };
+  const cmd = async (...args) => {
+    const out = await client.command(...args).catch((e) => { note(e); throw e; });
+    if (down) log('info', { evt: 'state_redis_up' });
+    down = false;
+    return out;
+  };
+
+  return {
+    kind: 'redis',
+
+    async load(ns) {
+      const rows = [];
+      let cursor = '0';
+      do {
+        const [next, keys] = await cmd('SCAN', cursor, 'MATCH', k(ns, '*'), 'COUNT', SCAN_COUNT);
+        cursor = next;
+        if (!keys.length) continue;
+        const values = await cmd('MGET', ...keys);
+        keys.forEach((key, i) => {
+          if (values[i] == null) return; // expired between SCAN and MGET
+          try { rows.push([key.slice(k(ns, '').length), JSON.parse(values[i])]); } catch {}
+        });
+      } while (cursor !== '0');
+      return rows;
+    },
+
+    async set(ns, key, value, ttlMs) {
+      await cmd('SET', k(ns, key), JSON.stringify(value), ...(ttlMs ? ['PX', ttlMs] : []));
+    },
+
+    async del(ns, key) {
+      await cmd('DEL', k(ns, key));
+    },
+
+    async acquire(key, owner, ttlMs) {
+      return (await cmd('SET', `${prefix}:lock:${key}`, owner, 'NX', 'PX', ttlMs)) === 'OK';
+    },
+
+    async release(key, owner) {
+      await cmd('EVAL', RELEASE_SCRIPT, 1, `${prefix}:lock:${key}`, owner);
+    },
+
+    close: () => client.close(),
+  };
+}
@@ -0,0 +1,119 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { log } from './utils.js';
+
+// Small JSON-file persistence for runtime state (config, mutes, ...).
+export const DATA_DIR = path.resolve(process.env.ROXI_DATA_DIR || 'data');
+
+// Under the ShardingManager (see shard.js) every shard process keeps its own documents in
+// data/shard-<id>/; a guild lives on exactly one shard, so nothing is written twice. Documents
+// loaded as `shared` (per-user settings) stay in DATA_DIR and are re-read when another shard
+// changes them. Appended logs stay in DATA_DIR as well.
+const SHARD = process.env.SHARDS;
+const SHARD_DIR = SHARD !== undefined ? path.join(DATA_DIR, `shard-${SHARD}`) : DATA_DIR;
+const FOLLOW_INTERVAL_MS = 2000;
+
+const pending = new Map(); // file name -> { timer, data }
+const files = new Map();   // file name -> absolute path, decided on load
+const written = new Map(); // absolute path -> mtime of our own last write
+
+const pathFor = (name) => files.get(name) || path.join(SHARD_DIR, name);
+
+function readFile(file, name) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') log('warn', { evt: 'store_load_fail', file: name, err: e.message });
+    return undefined;
+  }
+}
+
+/** Swap a shared document's contents in place when another process rewrote it. */
+function follow(file, name, data) {
+  fs.watchFile(file, { interval: FOLLOW_INTERVAL_MS }, (cur) => {
+    if (!cur.mtimeMs || cur.mtimeMs === written.get(file) || pending.has(name)) return;
+    const fresh = readFile(file, name);
+    if (!fresh || typeof fresh !== 'object') return;
+    for (const k of Object.keys(data)) delete data[k];
+    Object.assign(data, fresh);
+  }).unref();
+}
+
+/**
+ * Load a document, or `fallback` when there is none yet. A shard's first start reads
+ * the pre-sharding copy in DATA_DIR. opts.shared: one copy for every shard (see above).
+ */
+export function loadJson(name, fallback, { shared = false } = {}) {
+  const file = path.join(shared ? DATA_DIR : SHARD_DIR, name);
+  files.set(name, file);
+  const data = readFile(file, name) ?? (SHARD_DIR !== DATA_DIR ? readFile(path.join(DATA_DIR, name), name) : undefined);
+  const out = data === undefined ? fallback : data;
+  if (shared && SHARD !== undefined && out && typeof out === 'object' && !Array.isArray(out)) follow(file, name, out);
+  return out;
+}
+
+function writeNow(name, data) {
+  const file = pathFor(name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file); // atomic replace, no half-written files on crash
+  written.set(file, fs.statSync(file).mtimeMs);
+}
+
+/**
+ * Schedule a debounced write; `data` is serialized when the timer fires,
+ * so callers can keep mutating the same object.
+ */
+export function saveJson(name, data, delayMs = 500) {
+  const prev = pending.get(name);
+  if (prev) clearTimeout(prev.timer);
+  const timer = setTimeout(() => {
+    pending.delete(name);
+    try { writeNow(name, data); }
+    catch (e) { log('error', { evt: 'store_save_fail', file: name, err: e.message }); }
+  }, delayMs);
+  timer.unref?.();
+  pending.set(name, { timer, data });
+}
+
+/** Append one JSON line to an append-only log file (audit trails). Fire-and-forget. */
+export function appendLine(name, obj) {
+  const file = path.join(DATA_DIR, name);
+  fs.promises.mkdir(path.dirname(file), { recursive: true })
+    .then(() => fs.promises.appendFile(file, `${JSON.stringify(obj)}\n`))
+    .catch(e => log('error', { evt: 'store_append_fail', file: name, err: e.message }));
+}
+
+/** All entries of an append-only log (empty if it does not exist). */
+export function readLines(name) {
+  try {
+    return fs.readFileSync(path.join(DATA_DIR, name), 'utf8').split('\n').filter(Boolean).map(l => JSON.parse(l));
+  } catch (e) {
+    if (e.code !== 'ENOENT') log('warn', { evt: 'store_read_fail', file: name, err: e.message });
+    return [];
+  }
+}
+
+/** Rewrite an append-only log without the entries `drop` matches. Returns how many went. */
+export function dropLines(name, drop) {
+  const entries = readLines(name);
+  const kept = entries.filter(e => !drop(e));
+  if (kept.length === entries.length) return 0;
+  const file = path.join(DATA_DIR, name);
+  fs.writeFileSync(`${file}.tmp`, kept.map(e => `${JSON.stringify(e)}\n`).join(''));
+  fs.renameSync(`${file}.tmp`, file);
+  return entries.length - kept.length;
+}
+
+/** Write everything still pending right now (used on shutdown). */
+export function flushAll() {
+  for (const [name, { timer, data }] of pending) {
+    clearTimeout(timer);
+    try { writeNow(name, data); }
+    catch (e) { log('error', { evt: 'store_save_fail', file: name, err: e.message }); }
+  }
+  pending.clear();
+}
+
+process.on('exit', flushAll);
@@ -0,0 +1,132 @@
+// Getting text into Discord: 2000-char splitting and live (progressively edited) replies.
+import { post } from './outbox.js';
+import { log, onceWithRetry } from './utils.js';
+
+export const DISCORD_LIMIT = 2000;
+const EDIT_INTERVAL_MS = Number(process.env.ROXI_STREAM_EDIT_MS || 1200); // ~5 edits / 5s per channel
+const CURSOR = ' ▌';
+
+/**
+ * Split text into chunks of at most `limit` chars, preferring paragraph,
+ * then line, then word boundaries.
+ */
+export function splitMessage(text, limit = DISCORD_LIMIT) {
+  const chunks = [];
+  let rest = String(text || '').trim();
+  while (rest.length > limit) {
+    const window = rest.slice(0, limit);
+    let cut = window.lastIndexOf('\n\n');
+    if (cut < limit / 2) cut = window.lastIndexOf('\n');
+    if (cut < limit / 2) cut = window.lastIndexOf(' ');
+    if (cut < limit / 2) cut = limit;
+    chunks.push(rest.slice(0, cut).trimEnd());
+    rest = rest.slice(cut).trimStart();
+  }
+  if (rest) chunks.push(rest);
+  return chunks;
+}
+
+const asReply = (chunk, replyTo) => replyTo
+  ? { content: chunk, reply: { messageReference: replyTo, failIfNotExists: false }, allowedMentions: { repliedUser: false } }
+  : chunk;
+
+/**
+ * Send `text` as one or more messages through the outbound queue; the first may reply to
+ * `replyTo`. opts go to outbox.post (reason, staleness). Returns its { state, messages, why }.
+ */
+export function sendChunks(channel, text, { replyTo = null, ...opts } = {}) {
+  return post(channel, splitMessage(text).map((chunk, i) => asReply(chunk, i === 0 ? replyTo : null)), opts);
+}
+
+/**
+ * A reply that shows up as soon as the first tokens arrive and is edited as more come in.
+ * Edits are throttled to EDIT_INTERVAL_MS; overflow past 2000 chars continues in a new message.
+ * check(text, final) → { text, action } runs on every snapshot (moderation): 'refuse'
+ * deletes whatever was posted and stops the stream.
+ *
+ * New messages go through the outbound queue as `reason`; if one cannot be delivered, or
+ * the final edit fails twice, the stream stops there (failed). since/maxAgeMs/maxNewMessages
+ * go with the first message (outbox.post): when the conversation moved on before it went
+ * out, nothing is posted (stale).
+ *
+ * Returns { onToken, onReset, finish(finalText = text so far) → { sent, refused, failed, stale } }.
+ * An empty final text removes anything already posted.
+ */
+export function createLiveReply(channel, {
+  replyTo = null, reason = 'live', check = (text) => ({ text, action: 'pass' }), since, maxAgeMs, maxNewMessages,
+} = {}) {
+  let raw = '';
+  let refused = false;
+  let failed = false;
+  let stale = false;
+  let timer = null;
+  let lastRender = 0;
+  let queue = Promise.resolve();
+  const sent = [];  // Discord messages, in order
+  const shown = []; // their current text
+
+  async function render(final) {
+    if (refused || failed || stale) return;
+    const checked = check(raw, final);
+    if (checked.action === 'refuse') {
+      refused = true;
+      shown.length = 0;
+      await Promise.all(sent.splice(0).map(m => m.delete().catch(() => {})));
+      return;
+    }
+    if (!checked.text.trim()) {
+      if (final) { shown.length = 0; await Promise.all(sent.splice(0).map(m => m.delete().catch(() => {}))); }
+      return;
+    }
+    const chunks = splitMessage(final ? checked.text : `${checked.text}${CURSOR}`);
+    for (const [i, chunk] of chunks.entries()) {
+      if (shown[i] === chunk) continue;
+      if (sent[i]) {
+        // a failed edit stays unshown, so the next render tries again; the final one gets
+        // a second try right away, and after that the stream counts as failed
+        const msg = sent[i];
+        try {
+          sent[i] = await (final ? onceWithRetry(() => msg.edit(chunk)) : msg.edit(chunk));
+        } catch (e) {
+          log('warn', { evt: 'stream_edit_fail', final, err: e?.message || String(e) });
+          if (final) failed = true;
+          return;
+        }
+      } else {
+        const first = i === 0 ? { since, maxAgeMs, maxNewMessages } : {};
+        const out = await post(channel, asReply(chunk, i === 0 ? replyTo : null), { reason, ...first });
+        if (out.state === 'stale') { stale = true; return; }
+        if (out.state !== 'delivered') { failed = true; shown.length = sent.length; return; }
+        sent[i] = out.messages[0];
+      }
+      shown[i] = chunk;
+    }
+    // a restart (onReset) can leave us with fewer chunks than already posted
+    shown.length = chunks.length;
+    await Promise.all(sent.splice(chunks.length).map(m => m.delete().catch(() => {})));
+  }
+
+  function enqueue(final = false) {
+    queue = queue.then(() => render(final)).catch((e) => log('warn', { evt: 'stream_render_fail', err: e?.message || String(e) }));
+    lastRender = Date.now();
+    return queue;
+  }
+
+  function schedule() {
+    if (timer || refused || failed || stale) return;
+    const wait = Math.max(0, EDIT_INTERVAL_MS - (Date.now() - lastRender));
+    timer = setTimeout(() => { timer = null; enqueue(); }, wait);
+  }
+
+  return {
+    onToken(piece) { raw += piece; schedule(); },
+    onReset() { raw = ''; },
+    async finish(finalText = raw) {
+      clearTimeout(timer);
+      timer = null;
+      raw = finalText;
+      await enqueue(true);
+      return { sent: [...sent], refused, failed, stale };
+    },
+  };
+}
@@ -0,0 +1,146 @@
+// "What did I miss?": page back through a channel's history, summarize it in chunks
+// (map), then have the persona turn the chunk notes into one catch-up (reduce).
+import { conf } from './config.js';
+import { moderateInput, moderateOutput } from './moderation.js';
+import { summarize, catchUp } from './ai.js';
+import { excludedFromContext, modelName } from './privacy.js';
+import { languageFor } from './i18n.js';
+import { formatDuration, log } from './utils.js';
+
+/**
+ * Span: the last `count` messages, everything `since` ms ago, or by default everything
+ * after the caller's own last message (DEFAULT_COUNT if they never spoke lately).
+ * Always capped at MAX_MESSAGES. Messages are numbered oldest first; the notes and the
+ * final text refer to them as [n], which become jump links.
+ * Chunk notes are cached by the chunk's message ids, so asking again a bit later only
+ * summarizes what is new; whole answers are cached for CACHE_TTL_MS.
+ */
+const MAX_MESSAGES = Number(process.env.ROXI_TLDR_MAX_MSGS || 1000);
+const DEFAULT_COUNT = 200;
+const PAGE_SIZE = 100;         // Discord's cap per history fetch
+const CHUNK_LINES = 50;
+const LINE_CHARS = 240;
+const CACHE_TTL_MS = 10 * 60_000;
+const CACHE_SIZE = 200;
+const MAX_LINKS = 8;
+
+const chunkNotes = new Map(); // "firstId-lastId" -> notes (insertion order = age)
+const answers = new Map();    // "channelId:firstId-lastId" -> { text, at }
+const inFlight = new Map();   // same key -> Promise
+
+function remember(map, key, value) {
+  map.delete(key);
+  map.set(key, value);
+  if (map.size > CACHE_SIZE) map.delete(map.keys().next().value);
+}
+
+/**
+ * Newest-first paging until the span is covered. Returns Discord messages oldest first.
+ * { count, since, userId }: see above; count wins over since, either wins over userId.
+ */
+export async function fetchSpan(channel, { count = null, since = null, userId = null }) {
+  const untilUser = !count && !since && Boolean(userId);
+  const limit = Math.min(count || (since || untilUser ? MAX_MESSAGES : DEFAULT_COUNT), MAX_MESSAGES);
+  const out = [];
+  let before;
+  paging: while (out.length < limit) {
+    const page = await channel.messages.fetch({ limit: PAGE_SIZE, ...(before ? { before } : {}) });
+    if (!page.size) break;
+    const sorted = [...page.values()].sort((a, b) => b.createdTimestamp - a.createdTimestamp);
+    for (const m of sorted) {
+      if (!count && since && m.createdTimestamp < since) break paging;
+      if (untilUser && m.author.id === userId) {
+        if (out.length) return out.reverse(); // where they left off
+        continue; // what they said since coming back
+      }
+      out.push(m);
+      if (out.length >= limit) break paging;
+    }
+    if (page.size < PAGE_SIZE) break;
+    before = sorted.at(-1).id;
+  }
+  // never spoke within MAX_MESSAGES: the newest DEFAULT_COUNT will do
+  return (untilUser ? out.slice(0, DEFAULT_COUNT) : out).reverse();
+}
+
+function toLine(m, n, channel) {
+  if (excludedFromContext(m.author.id)) return null;
+  const { text } = moderateInput(m.cleanContent || '', channel, { maxLen: LINE_CHARS });
+  const extra = m.attachments?.size ? ` [${m.attachments.size} attachment(s)]` : '';
+  const body = `${text}${extra}`.replace(/\s+/g, ' ').trim();
+  if (!body) return null;
+  const author = m.author.bot ? `${m.author.username} (bot)` : modelName(m.author.id, m.member?.displayName || m.author.username);
+  return `[${n}] ${author}: ${body}`;
+}
+
+async function notesFor(msgs, lines) {
+  const key = `${msgs[0].id}-${msgs.at(-1).id}`;
+  if (chunkNotes.has(key)) return chunkNotes.get(key);
+  const notes = await summarize(lines.join('\n'),
+    'Summarize this part of a group chat in at most 5 short bullet points: topics, decisions, plans, questions left open. End each bullet with the [number] of the message that best shows it.');
+  remember(chunkNotes, key, notes);
+  return notes;
+}
+
+function describeSpan(msgs) {
+  const ago = Date.now() - msgs[0].createdTimestamp;
+  return `the last ${msgs.length} messages (about ${formatDuration(ago)})`;
+}
+
+/** [n] markers → jump links to the numbered messages; unknown numbers are dropped. */
+function linkify(text, msgs) {
+  let links = 0;
+  return text.replace(/\s*\[(\d+)\]/g, (_, n) => {
+    const m = msgs[Number(n) - 1];
+    if (!m || links >= MAX_LINKS) return '';
+    links++;
+    return ` [↗](${m.url})`;
+  });
+}
+
+async function build(channel, msgs, language) {
+  const numbered = msgs.map((m, i) => [m, toLine(m, i + 1, channel)]);
+  const notes = [];
+  for (let i = 0; i < numbered.length; i += CHUNK_LINES) {
+    const chunk = numbered.slice(i, i + CHUNK_LINES);
+    const lines = chunk.map(([, l]) => l).filter(Boolean);
+    if (lines.length) notes.push(await notesFor(chunk.map(([m]) => m), lines));
+  }
+  const filled = notes.filter(Boolean);
+  if (!filled.length) return '';
+  const text = await catchUp({ persona: conf('persona', channel), channel: channel.name, notes: filled, span: describeSpan(msgs), language });
+  const checked = moderateOutput(text, channel);
+  if (checked.action === 'refuse' || !checked.text) return '';
+  return linkify(checked.text, msgs);
+}
+
+/** Drop cached notes and answers (after someone's data was deleted or hidden). */
+export function clearTldrCache() {
+  chunkNotes.clear();
+  answers.clear();
+}
+
+/**
+ * Catch-up for a channel. opts: { count, since (ms timestamp), userId (the asker),
+ * language (defaults to the channel's, see i18n.js) }.
+ * Returns { text, messages, cached } — text is '' when there was nothing to summarize.
+ * Throws when history can't be read or the providers fail.
+ */
+export async function tldr(channel, opts = {}, now = Date.now()) {
+  const msgs = await fetchSpan(channel, opts);
+  if (!msgs.length) return { text: '', messages: 0, cached: false };
+
+  const language = opts.language || languageFor(channel, msgs.slice(-50).filter(m => !m.author?.bot).map(m => m.content));
+  const key = `${channel.id}:${msgs[0].id}-${msgs.at(-1).id}:${language}`;
+  const hit = answers.get(key);
+  if (hit && now - hit.at < CACHE_TTL_MS) return { text: hit.text, messages: msgs.length, cached: true };
+
+  // two people asking at once share one run
+  if (!inFlight.has(key)) {
+    inFlight.set(key, build(channel, msgs, language).finally(() => inFlight.delete(key)));
+  }
+  const text = await inFlight.get(key);
+  remember(answers, key, { text, at: now });
+  log('info', { evt: 'tldr', channel: channel.name, messages: msgs.length, chunks: Math.ceil(msgs.length / CHUNK_LINES) });
+  return { text, messages: msgs.length, cached: false };
+}
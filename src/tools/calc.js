@@ -0,0 +1,103 @@
+// Calculator: a small recursive-descent parser (no eval).
+// Grammar: expr = term (('+'|'-') term)* ; term = unary (('*'|'/'|'%') unary)* ;
+//          unary = '-' unary | power ; power = atom ('^' unary)? ; atom = number | name | call | '(' expr ')'
+
+const FUNCS = {
+  sqrt: Math.sqrt, abs: Math.abs, round: Math.round, floor: Math.floor, ceil: Math.ceil,
+  ln: Math.log, log: Math.log10, log2: Math.log2, exp: Math.exp,
+  sin: Math.sin, cos: Math.cos, tan: Math.tan, min: Math.min, max: Math.max,
+};
+const CONSTS = { pi: Math.PI, e: Math.E };
+const MAX_LEN = 200;
+
+function tokenize(src) {
+  const tokens = [];
+  const re = /\s*(?:(\d+(?:\.\d+)?(?:e[+-]?\d+)?)|([a-z_][a-z0-9_]*)|(\*\*|[-+*/%^(),]))/giy;
+  let m;
+  while (re.lastIndex < src.length) {
+    const at = re.lastIndex;
+    m = re.exec(src);
+    if (!m) {
+      if (!src.slice(at).trim()) break;
+      throw new Error(`unexpected "${src.slice(at).trim()[0]}"`);
+    }
+    if (m[1]) tokens.push({ t: 'num', v: Number(m[1]) });
+    else if (m[2]) tokens.push({ t: 'name', v: m[2].toLowerCase() });
+    else if (m[3]) tokens.push({ t: 'op', v: m[3] === '**' ? '^' : m[3] });
+  }
+  return tokens;
+}
+
+export function evaluate(src) {
+  if (String(src).length > MAX_LEN) throw new Error('expression too long');
+  const tokens = tokenize(String(src).replace(/×/g, '*').replace(/÷/g, '/'));
+  let i = 0;
+  const peek = () => tokens[i];
+  const take = (v) => {
+    const tok = tokens[i];
+    if (v !== undefined && (!tok || tok.v !== v)) throw new Error(`expected "${v}"`);
+    i++;
+    return tok;
+  };
+
+  function expr() {
+    let v = term();
+    while (peek()?.t === 'op' && '+-'.includes(peek().v)) v = take().v === '+' ? v + term() : v - term();
+    return v;
+  }
+  function term() {
+    let v = unary();
+    while (peek()?.t === 'op' && '*/%'.includes(peek().v)) {
+      const op = take().v;
+      const r = unary();
+      v = op === '*' ? v * r : op === '/' ? v / r : v % r;
+    }
+    return v;
+  }
+  function unary() {
+    if (peek()?.v === '-') { take(); return -unary(); }
+    if (peek()?.v === '+') { take(); return unary(); }
+    return power();
+  }
+  function power() {
+    const base = atom();
+    if (peek()?.v === '^') { take(); return base ** unary(); }
+    return base;
+  }
+  function atom() {
+    const tok = take();
+    if (!tok) throw new Error('unexpected end');
+    if (tok.t === 'num') return tok.v;
+    if (tok.v === '(') { const v = expr(); take(')'); return v; }
+    if (tok.t === 'name') {
+      if (tok.v in CONSTS) return CONSTS[tok.v];
+      const fn = FUNCS[tok.v];
+      if (!fn) throw new Error(`unknown name "${tok.v}"`);
+      take('(');
+      const args = [expr()];
+      while (peek()?.v === ',') { take(); args.push(expr()); }
+      take(')');
+      return fn(...args);
+    }
+    throw new Error(`unexpected "${tok.v}"`);
+  }
+
+  const v = expr();
+  if (i < tokens.length) throw new Error(`unexpected "${tokens[i].v}"`);
+  if (!Number.isFinite(v)) throw new Error('result is not a finite number');
+  return v;
+}
+
+export const calc = {
+  name: 'calculate',
+  description: 'Evaluate arithmetic exactly: + - * / % ^, parentheses, sqrt, abs, round, floor, ceil, ln, log, sin, cos, tan, min, max, pi, e.',
+  parameters: {
+    type: 'object',
+    properties: { expression: { type: 'string', description: 'e.g. "(12.5 * 4) / 3" or "sqrt(2)^2"' } },
+    required: ['expression'],
+  },
+  run({ expression }) {
+    const v = evaluate(expression);
+    return { expression, result: Number(v.toPrecision(12)) };
+  },
+};
@@ -0,0 +1,56 @@
+import crypto from 'node:crypto';
+
+const MAX_DICE = 100;
+const MAX_SIDES = 1000;
+
+const rollDie = (sides) => crypto.randomInt(1, sides + 1);
+
+/** "2d6+3", "d20", "4d6-1" */
+function parseNotation(s) {
+  const m = String(s).replace(/\s+/g, '').toLowerCase().match(/^(\d*)d(\d+)([+-]\d+)?$/);
+  if (!m) throw new Error('use dice notation like d20, 2d6 or 3d8+2');
+  const count = Number(m[1] || 1);
+  const sides = Number(m[2]);
+  if (count < 1 || count > MAX_DICE) throw new Error(`between 1 and ${MAX_DICE} dice`);
+  if (sides < 2 || sides > MAX_SIDES) throw new Error(`between 2 and ${MAX_SIDES} sides`);
+  return { count, sides, modifier: Number(m[3] || 0) };
+}
+
+export const dice = {
+  name: 'roll_dice',
+  description: 'Roll dice for real. Use whenever someone asks to roll, flip a coin (d2) or get a random number.',
+  parameters: {
+    type: 'object',
+    properties: { notation: { type: 'string', description: 'dice notation, e.g. "d20", "2d6", "3d8+2"' } },
+    required: ['notation'],
+  },
+  run({ notation }) {
+    const { count, sides, modifier } = parseNotation(notation);
+    const rolls = Array.from({ length: count }, () => rollDie(sides));
+    const total = rolls.reduce((a, b) => a + b, 0) + modifier;
+    return { notation, rolls, modifier, total };
+  },
+};
+
+export const pick = {
+  name: 'random_pick',
+  description: 'Pick at random from a list of options (who pays, which movie, ...).',
+  parameters: {
+    type: 'object',
+    properties: {
+      options: { type: 'array', items: { type: 'string' }, description: 'the choices' },
+      count: { type: 'integer', description: 'how many to pick (default 1)' },
+    },
+    required: ['options'],
+  },
+  run({ options, count = 1 }) {
+    const pool = options.map(s => s.trim()).filter(Boolean);
+    if (pool.length < 2) throw new Error('need at least two options');
+    const n = Math.min(Math.max(1, count), pool.length);
+    for (let i = pool.length - 1; i > 0; i--) { // Fisher–Yates
+      const j = crypto.randomInt(0, i + 1);
+      [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+    return { picked: pool.slice(0, n) };
+  },
+};
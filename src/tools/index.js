@@ -0,0 +1,84 @@
+// Local tools the model can call (OpenAI-style function calling; Ollama uses the same shape).
+// Tools run in-process but boxed in: arguments are checked against the tool's schema,
+// each call has a time limit, results are capped, and a reply gets a bounded number of calls.
+import { withTimeout, log } from '../utils.js';
+import { counter } from '../metrics.js';
+import { dice, pick } from './dice.js';
+import { calc } from './calc.js';
+import { poll } from './poll.js';
+import { remind } from './remind.js';
+import { search } from './search.js';
+
+const TOOL_TIMEOUT_MS = Number(process.env.ROXI_TOOL_TIMEOUT_MS || 5000);
+const RESULT_MAX_CHARS = 800;
+export const MAX_CALLS_PER_REPLY = 4;
+
+/**
+ * A tool: { name, description, parameters (JSON schema, type object), run(args, env) → string|object }
+ * env: { channel, userId, guildId, now }
+ */
+const TOOLS = new Map();
+
+export function registerTool(tool) {
+  TOOLS.set(tool.name, tool);
+}
+
+for (const t of [dice, pick, calc, poll, remind, search]) registerTool(t);
+
+export function listTools() {
+  return [...TOOLS.keys()];
+}
+
+/** Tool definitions in the OpenAI `tools` format (Ollama takes the same). */
+export function toolSpecs(names = listTools()) {
+  return names.filter(n => TOOLS.has(n)).map((n) => {
+    const { name, description, parameters } = TOOLS.get(n);
+    return { type: 'function', function: { name, description, parameters } };
+  });
+}
+
+const calls = counter('roxi_tool_calls_total', 'Tool calls by tool and result');
+
+/** Minimal JSON-schema check: object, required keys, primitive types, enums, no extras. */
+function checkArgs(schema, args) {
+  if (!args || typeof args !== 'object' || Array.isArray(args)) throw new Error('arguments must be an object');
+  const props = schema.properties || {};
+  for (const key of schema.required || []) {
+    if (args[key] === undefined) throw new Error(`missing "${key}"`);
+  }
+  for (const [key, v] of Object.entries(args)) {
+    const p = props[key];
+    if (!p) throw new Error(`unknown argument "${key}"`);
+    const type = Array.isArray(v) ? 'array' : typeof v;
+    const ok = p.type === 'integer' ? Number.isInteger(v) : p.type === type;
+    if (!ok) throw new Error(`"${key}" must be ${p.type}`);
+    if (p.enum && !p.enum.includes(v)) throw new Error(`"${key}" must be one of ${p.enum.join(', ')}`);
+    if (p.type === 'array' && p.items?.type && v.some(x => typeof x !== p.items.type)) throw new Error(`"${key}" items must be ${p.items.type}`);
+  }
+}
+
+/**
+ * Run one call { id, name, args } and return the text handed back to the model.
+ * Failures come back as "error: ..." so the model can tell the user instead of guessing.
+ */
+export async function runTool(call, env) {
+  const tool = TOOLS.get(call.name);
+  const t0 = Date.now();
+  let result;
+  let ok = false;
+  try {
+    if (!tool) throw new Error(`no tool named "${call.name}"`);
+    // models often send null for optional arguments they don't use
+    const args = Object.fromEntries(Object.entries(call.args || {}).filter(([, v]) => v !== null));
+    checkArgs(tool.parameters, args);
+    const out = await withTimeout(Promise.resolve(tool.run(args, env)), TOOL_TIMEOUT_MS);
+    result = typeof out === 'string' ? out : JSON.stringify(out);
+    ok = true;
+  } catch (e) {
+    result = `error: ${e?.message || String(e)}`;
+  }
+  if (result.length > RESULT_MAX_CHARS) result = `${result.slice(0, RESULT_MAX_CHARS)}…`;
+  calls.inc({ tool: tool ? call.name : 'unknown', ok: String(ok) });
+  log('info', { evt: 'tool_call', tool: call.name, ok, ms: Date.now() - t0, channel: env.channel?.name });
+  return result;
+}
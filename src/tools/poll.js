@@ -0,0 +1,36 @@
+// Native Discord poll, posted by Roxi as its own message.
+import { post } from '../outbox.js';
+
+const MAX_ANSWERS = 10;   // Discord limit
+const MAX_HOURS = 24 * 7; // Discord allows up to 32 days; a week is plenty for chat
+
+export const poll = {
+  name: 'create_poll',
+  description: 'Post a real Discord poll in this channel when people want to vote on something.',
+  parameters: {
+    type: 'object',
+    properties: {
+      question: { type: 'string', description: 'the poll question (max 300 chars)' },
+      answers: { type: 'array', items: { type: 'string' }, description: '2-10 answer options (max 55 chars each)' },
+      hours: { type: 'integer', description: 'how long the poll runs, in hours (default 24)' },
+      multiselect: { type: 'boolean', description: 'allow picking several answers' },
+    },
+    required: ['question', 'answers'],
+  },
+  async run({ question, answers, hours = 24, multiselect = false }, { channel }) {
+    const opts = [...new Set(answers.map(a => a.trim().slice(0, 55)).filter(Boolean))];
+    if (opts.length < 2 || opts.length > MAX_ANSWERS) throw new Error(`a poll needs 2-${MAX_ANSWERS} distinct answers`);
+    const duration = Math.min(Math.max(1, hours), MAX_HOURS);
+    const out = await post(channel, {
+      poll: {
+        question: { text: question.trim().slice(0, 300) },
+        answers: opts.map(text => ({ text })),
+        duration,
+        allowMultiselect: multiselect,
+      },
+    }, { reason: 'poll' });
+    if (out.state !== 'delivered') throw new Error(`could not post the poll (${out.why})`);
+    const msg = out.messages[0];
+    return { posted: true, messageId: msg.id, answers: opts.length, hours: duration };
+  },
+};
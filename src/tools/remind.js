@@ -0,0 +1,36 @@
+import { toCron } from '../cron.js';
+import { parseDuration, formatDuration } from '../utils.js';
+
+export const remind = {
+  name: 'set_reminder',
+  description: 'Set a reminder for the person talking to you; Roxi pings them in this channel (or by DM) when it is due. Give either "in" or "every".',
+  parameters: {
+    type: 'object',
+    properties: {
+      in: { type: 'string', description: 'one-off delay like "10m", "2h", "1d" or "1h30m"' },
+      every: { type: 'string', description: 'repeat schedule: "21:00" daily, "fri 19:30" weekly, or a cron expression' },
+      text: { type: 'string', description: 'what to remind them about' },
+      dm: { type: 'boolean', description: 'send it as a direct message instead' },
+    },
+    required: ['text'],
+  },
+  async run({ in: delay, every, text, dm = false }, { channel, userId, guildId = null, now = Date.now() }) {
+    if (!userId) throw new Error('no one to remind');
+    if (!delay === !every) throw new Error('give either "in" or "every"');
+    const ms = delay ? parseDuration(delay) : null;
+    if (delay && !ms) throw new Error('delay looks like 10m, 2h or 1d');
+    const cron = every ? toCron(every) : null;
+    const inDm = !channel.guildId; // asked in a DM → answer there
+    // loaded here: scheduler.js → ai.js → tools/index.js → this file would be a cycle
+    const { addJob } = await import('../scheduler.js');
+    const job = addJob({
+      kind: 'reminder', guildId, channelId: inDm ? null : channel.id, userId, dm: dm || inDm,
+      text: text.trim().slice(0, 300), dueAt: ms ? now + ms : null, cron,
+    }, now);
+    return {
+      scheduled: true, id: job.id, dm: job.dm,
+      ...(cron ? { repeats: cron } : { in: formatDuration(ms) }),
+      next: new Date(job.nextAt).toISOString(),
+    };
+  },
+};
@@ -0,0 +1,42 @@
+import { moderateInput } from '../moderation.js';
+import { excludedFromContext, modelName } from '../privacy.js';
+
+const SCAN_LIMIT = 100; // one fetch page
+const MAX_RESULTS = 5;
+
+export const search = {
+  name: 'search_messages',
+  description: 'Search recent messages in this channel ("what did Rachel say about the trip?").',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'words to look for' },
+      author: { type: 'string', description: 'only messages from this display name (optional)' },
+    },
+    required: ['query'],
+  },
+  async run({ query, author }, { channel }) {
+    const words = query.toLowerCase().split(/\s+/).filter(w => w.length > 1);
+    if (!words.length) throw new Error('query is empty');
+    const who = author?.toLowerCase();
+    const page = await channel.messages.fetch({ limit: SCAN_LIMIT });
+    const hits = [];
+    for (const m of [...page.values()].sort((a, b) => b.createdTimestamp - a.createdTimestamp)) {
+      if (m.author.bot || excludedFromContext(m.author.id)) continue;
+      const name = modelName(m.author.id, m.member?.displayName || m.author.username);
+      if (who && !name.toLowerCase().includes(who)) continue;
+      const text = (m.cleanContent || '').toLowerCase();
+      const score = words.filter(w => text.includes(w)).length;
+      if (score) hits.push({ m, name, score });
+    }
+    hits.sort((a, b) => b.score - a.score || b.m.createdTimestamp - a.m.createdTimestamp);
+    return {
+      scanned: page.size,
+      results: hits.slice(0, MAX_RESULTS).map(({ m, name }) => ({
+        author: name,
+        at: new Date(m.createdTimestamp).toISOString().slice(0, 16).replace('T', ' '),
+        text: moderateInput(m.cleanContent, channel, { maxLen: 200 }).text,
+      })),
+    };
+  },
+};
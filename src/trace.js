@@ -0,0 +1,52 @@
+// "Why did/didn't Roxi reply": a ring buffer of decision records per channel.
+import { log } from './utils.js';
+import { counter } from './metrics.js';
+import { logId } from './privacy.js';
+
+const TRACE_SIZE = Number(process.env.ROXI_TRACE_SIZE || 50);
+const traces = new Map(); // channelId -> [record, ...] (oldest first)
+
+const decisionsTotal = counter('roxi_decisions_total', 'Reply decisions by trigger and blocking gate');
+
+/**
+ * Store a decision record (see decide.js onHumanMessage) and log it at debug level.
+ * Returns the stored record so callers can attach the outcome later.
+ */
+export function traceDecision(channel, record) {
+  const entry = { channelId: channel.id, channel: channel.name, outcome: record.reply ? 'pending' : 'blocked', ...record };
+  const arr = traces.get(channel.id) || [];
+  arr.push(entry);
+  if (arr.length > TRACE_SIZE) arr.splice(0, arr.length - TRACE_SIZE);
+  traces.set(channel.id, arr);
+  decisionsTotal.inc({ trigger: record.trigger, gate: record.gate || 'none' });
+  log('debug', { evt: 'decision', ...entry, authorId: logId(entry.authorId) });
+  return entry;
+}
+
+/** outcome: sent | busy | no_context | empty | refused | stale | send_failed | error */
+export function traceOutcome(entry, outcome, extra = {}) {
+  if (!entry) return;
+  Object.assign(entry, { outcome, ...extra });
+  log('debug', { evt: 'decision_outcome', channelId: entry.channelId, ts: entry.ts, outcome, ...extra });
+}
+
+/** Every stored record about one author (for data export). */
+export function decisionsBy(authorId) {
+  return [...traces.values()].flat().filter(r => r.authorId === authorId);
+}
+
+/** Drop one author's records everywhere. Returns how many went. */
+export function forgetAuthor(authorId) {
+  let n = 0;
+  for (const [channelId, arr] of traces) {
+    const kept = arr.filter(r => r.authorId !== authorId);
+    n += arr.length - kept.length;
+    traces.set(channelId, kept);
+  }
+  return n;
+}
+
+/** Last n records for a channel, newest first. */
+export function recentDecisions(channelId, n = 10) {
+  return (traces.get(channelId) || []).slice(-n).reverse();
+}
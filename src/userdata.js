@@ -0,0 +1,88 @@
+// Everything Roxi stores about one person, for /privacy export and delete.
+// Each module owns its data; this only collects and purges across them.
+import { readLines, dropLines } from './store.js';
+import { logId, privacyOf, trackingAlias } from './privacy.js';
+import { userMemory, forgetEverywhere } from './memory.js';
+import { dmUserData, forgetDmUser } from './dm.js';
+import { hasVoiceConsent, forgetVoiceUser } from './voice/index.js';
+import { listJobs, cancelJob } from './scheduler.js';
+import { decisionsBy, forgetAuthor } from './trace.js';
+import { forgetSpeaker } from './sleep.js';
+import { clearTldrCache } from './tldr.js';
+import { log } from './utils.js';
+
+const AUDIT_FILE = 'audit.jsonl';
+
+// momentum and traces may know them under their alias, from now or an earlier opt-out (privacy.js)
+const idsOf = (userId) => [userId, trackingAlias(userId)];
+
+/** A JSON-ready dump of the user's data. Moderation audit entries hold rule names, never text. */
+export function exportUser(userId) {
+  const ids = idsOf(userId);
+  return {
+    userId,
+    exportedAt: new Date().toISOString(),
+    privacy: privacyOf(userId),
+    memory: userMemory(userId),
+    dms: dmUserData(userId),
+    voiceConsent: hasVoiceConsent(userId),
+    jobs: listJobs({ userId }),
+    recentDecisions: ids.flatMap(decisionsBy),
+    moderationAudit: readLines(AUDIT_FILE).filter(e => e.authorId === userId),
+  };
+}
+
+/**
+ * Purge the user's data: notes, buffered lines and summaries built from them, DM state,
+ * voice consent, reminders, decision traces, momentum entries and audit entries.
+ * Privacy settings and a DM "stop" stay, since they protect the person.
+ * Scheduled posts they created as an admin belong to the server and stay too.
+ */
+export function deleteUser(userId, { by = userId } = {}) {
+  const ids = idsOf(userId);
+  const memory = forgetEverywhere(userId);
+  const reminders = listJobs({ userId, kind: 'reminder' }).filter(j => cancelJob(j.id, { userId })).length;
+  const decisions = ids.reduce((n, id) => n + forgetAuthor(id), 0);
+  ids.forEach(forgetSpeaker);
+  const audit = dropLines(AUDIT_FILE, e => e.authorId === userId);
+  const dms = forgetDmUser(userId);
+  const voice = forgetVoiceUser(userId);
+  clearTldrCache();
+  const counts = { ...memory, reminders, decisions, audit, dms, voice };
+  log('info', { evt: 'user_data_deleted', user: logId(userId), by: logId(by), ...counts });
+  return counts;
+}
+
+/* ---------- across shards ---------- */
+// Memory, traces and reminders are kept per shard process, so a sharded bot asks every
+// shard. Each shard exposes the two functions above as client.roxiUserData (index.js).
+
+function onEveryShard(client, fn, userId, opts) {
+  if (!client?.shard) return Promise.resolve([fn === 'exportUser' ? exportUser(userId) : deleteUser(userId, opts)]);
+  return client.shard.broadcastEval(
+    (c, ctx) => c.roxiUserData?.[ctx.fn](ctx.userId, ctx.opts),
+    { context: { fn, userId, opts } },
+  ).catch((e) => {
+    log('warn', { evt: 'user_data_shards_fail', fn, user: logId(userId), err: e?.message });
+    throw new Error('some shards are not reachable right now, try again in a minute');
+  });
+}
+
+/** exportUser on every shard; sharded exports list each shard's part under `shards`. */
+export async function exportUserEverywhere(client, userId) {
+  const parts = await onEveryShard(client, 'exportUser', userId);
+  if (parts.length === 1) return parts[0];
+  return { userId, exportedAt: new Date().toISOString(), shards: parts.map((p, shard) => ({ shard, ...p })) };
+}
+
+/** deleteUser on every shard; counts are added up (flags: set if any shard had one). */
+export async function deleteUserEverywhere(client, userId, opts) {
+  const parts = (await onEveryShard(client, 'deleteUser', userId, opts)).filter(Boolean);
+  const total = {};
+  for (const counts of parts) {
+    for (const [k, v] of Object.entries(counts)) {
+      total[k] = typeof v === 'number' ? (total[k] || 0) + v : Boolean(total[k] || v);
+    }
+  }
+  return total;
+}
@@ -4,19 +4,14 @@ export function parseIdList(envVal) {
   return (envVal || '').split(',').map(s=>s.trim()).filter(Boolean);
 }
 
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
 export function log(lvl, obj = {}) {
+  const min = LOG_LEVELS[process.env.ROXI_LOG_LEVEL] ?? LOG_LEVELS.info;
+  if ((LOG_LEVELS[lvl] ?? LOG_LEVELS.info) < min) return;
   console.log(JSON.stringify({ lvl, ts: new Date().toISOString(), ...obj }));
 }
 
-const BANNED_RE = /(password|api[_\- ]?key|token|ssn|secret|private key|seed phrase)/i;
-
-export function sanitizeInput(text, maxLen = 800) {
-  if (!text) return '';
-  const t = String(text).slice(0, maxLen);
-  if (BANNED_RE.test(t)) return '';
-  return t;
-}
-
 export async function withTimeout(promise, ms = 26000) {
   let t;
   const timer = new Promise((_, rej) => (t = setTimeout(() => rej(new Error('timeout')), ms)));
@@ -36,3 +31,28 @@ export function canSendInChannel(ch, clientUser) {
   const perms = ch?.permissionsFor?.(clientUser);
   return perms?.has?.(PermissionsBitField.Flags.SendMessages);
 }
+
+const DURATION_UNITS = { s: 1000, m: 60_000, h: 3_600_000, d: 86_400_000 };
+
+/**
+ * Parse "90s", "30m", "2h", "1d" (or combos like "1h30m") into ms.
+ * Returns null for empty/invalid input.
+ */
+export function parseDuration(text) {
+  const s = String(text || '').trim().toLowerCase();
+  if (!s) return null;
+  let total = 0;
+  const rest = s.replace(/(\d+(?:\.\d+)?)\s*([smhd])/g, (_, n, u) => { total += Number(n) * DURATION_UNITS[u]; return ''; });
+  if (rest.trim() || total <= 0) return null;
+  return total;
+}
+
+export function formatDuration(ms) {
+  if (!Number.isFinite(ms)) return 'forever';
+  const sec = Math.max(0, Math.round(ms / 1000));
+  if (sec < 60) return `${sec}s`;
+  const min = Math.round(sec / 60);
+  if (min < 60) return `${min}m`;
+  const h = Math.floor(min / 60);
+  return min % 60 ? `${h}h${min % 60}m` : `${h}h`;
+}
@@ -0,0 +1,111 @@
+// Local speech engines, run as child processes so any STT/TTS binary can plug in.
+//  - STT: ROXI_STT_CMD gets a 16 kHz mono WAV ("{file}" in the command) and prints the transcript.
+//      e.g. whisper-cli -m models/ggml-base.en.bin -nt -np -f {file}
+//  - TTS: ROXI_TTS_CMD reads text on stdin and writes raw 16-bit mono PCM at ROXI_TTS_SAMPLE_RATE.
+//      e.g. piper --model voices/en_US-amy-medium.onnx --output_raw
+// Commands are split on spaces and run without a shell.
+import { spawn } from 'node:child_process';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+const STT_CMD = process.env.ROXI_STT_CMD || '';
+const TTS_CMD = process.env.ROXI_TTS_CMD || '';
+const TTS_RATE = Number(process.env.ROXI_TTS_SAMPLE_RATE || 22050);
+const STT_TIMEOUT_MS = Number(process.env.ROXI_STT_TIMEOUT_MS || 30000);
+const TTS_TIMEOUT_MS = Number(process.env.ROXI_TTS_TIMEOUT_MS || 30000);
+const MAX_OUTPUT_BYTES = 16 * 1024 * 1024;
+
+export const DISCORD_RATE = 48000; // Discord voice: 48 kHz, stereo, s16le
+export const STT_RATE = 16000;
+
+export const sttAvailable = () => Boolean(STT_CMD);
+export const ttsAvailable = () => Boolean(TTS_CMD);
+
+/**
+ * Run a command with optional stdin; resolves with stdout (Buffer).
+ * The child is killed on timeout, and stdout is capped.
+ */
+function run(cmdline, { input = null, timeoutMs }) {
+  const [bin, ...args] = cmdline.split(/\s+/).filter(Boolean);
+  return new Promise((resolve, reject) => {
+    const child = spawn(bin, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+    const out = [];
+    let size = 0;
+    let err = '';
+    const timer = setTimeout(() => { child.kill('SIGKILL'); reject(new Error(`${bin} timed out`)); }, timeoutMs);
+    child.stdout.on('data', (d) => {
+      size += d.length;
+      if (size > MAX_OUTPUT_BYTES) { child.kill('SIGKILL'); return; }
+      out.push(d);
+    });
+    child.stderr.on('data', (d) => { err = (err + d).slice(-500); });
+    child.on('error', (e) => { clearTimeout(timer); reject(e); });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      if (code === 0) resolve(Buffer.concat(out));
+      else reject(new Error(`${bin} exited with ${code}: ${err.trim().split('\n').at(-1) || 'no output'}`));
+    });
+    child.stdin.on('error', () => {}); // engines that ignore stdin may close it early
+    child.stdin.end(input ?? undefined);
+  });
+}
+
+/** 48 kHz stereo s16le → 16 kHz mono (channel average, then a 3-sample box filter + decimation). */
+export function toSttPcm(pcm) {
+  const frames = Math.floor(pcm.length / 4);
+  const out = Buffer.alloc(Math.floor(frames / 3) * 2);
+  for (let i = 0, o = 0; o < out.length; i += 3, o += 2) {
+    let sum = 0;
+    for (let k = 0; k < 3; k++) sum += pcm.readInt16LE((i + k) * 4) + pcm.readInt16LE((i + k) * 4 + 2);
+    out.writeInt16LE(Math.round(sum / 6), o);
+  }
+  return out;
+}
+
+/** Mono s16le at `rate` → 48 kHz stereo s16le (linear interpolation). */
+export function toDiscordPcm(pcm, rate) {
+  const n = Math.floor(pcm.length / 2);
+  if (!n) return Buffer.alloc(0);
+  const frames = Math.floor(n * DISCORD_RATE / rate);
+  const out = Buffer.alloc(frames * 4);
+  for (let f = 0; f < frames; f++) {
+    const pos = f * rate / DISCORD_RATE;
+    const i = Math.floor(pos);
+    const a = pcm.readInt16LE(Math.min(i, n - 1) * 2);
+    const b = pcm.readInt16LE(Math.min(i + 1, n - 1) * 2);
+    const v = Math.round(a + (b - a) * (pos - i));
+    out.writeInt16LE(v, f * 4);
+    out.writeInt16LE(v, f * 4 + 2);
+  }
+  return out;
+}
+
+function wav(pcm, rate) {
+  const h = Buffer.alloc(44);
+  h.write('RIFF', 0); h.writeUInt32LE(36 + pcm.length, 4); h.write('WAVE', 8);
+  h.write('fmt ', 12); h.writeUInt32LE(16, 16); h.writeUInt16LE(1, 20); h.writeUInt16LE(1, 22);
+  h.writeUInt32LE(rate, 24); h.writeUInt32LE(rate * 2, 28); h.writeUInt16LE(2, 32); h.writeUInt16LE(16, 34);
+  h.write('data', 36); h.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([h, pcm]);
+}
+
+/** Transcribe one utterance (48 kHz stereo PCM from Discord). Returns trimmed text, possibly ''. */
+export async function transcribe(pcm) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'roxi-stt-'));
+  const file = path.join(dir, 'utterance.wav');
+  try {
+    await fs.writeFile(file, wav(toSttPcm(pcm), STT_RATE));
+    const out = await run(STT_CMD.replaceAll('{file}', file), { timeoutMs: STT_TIMEOUT_MS });
+    // whisper-style engines mark non-speech as [BLANK_AUDIO], (music) and the like
+    return out.toString('utf8').replace(/\[[^\]]*\]|\([^)]*\)/g, ' ').replace(/\s+/g, ' ').trim();
+  } finally {
+    fs.rm(dir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+/** Speak text; returns 48 kHz stereo PCM ready for a raw audio resource. */
+export async function synthesize(text) {
+  const raw = await run(TTS_CMD, { input: Buffer.from(text, 'utf8'), timeoutMs: TTS_TIMEOUT_MS });
+  return toDiscordPcm(raw, TTS_RATE);
+}
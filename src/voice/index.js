@@ -0,0 +1,318 @@
+// Voice presence: Roxi sits in a voice channel, listens to people who opted in,
+// and answers out loud through the same decision engine as text chat.
+import { Readable } from 'node:stream';
+import {
+  joinVoiceChannel,
+  createAudioPlayer,
+  createAudioResource,
+  entersState,
+  EndBehaviorType,
+  StreamType,
+  NoSubscriberBehavior,
+  AudioPlayerStatus,
+  VoiceConnectionStatus,
+} from '@discordjs/voice';
+import prism from 'prism-media';
+import { PermissionsBitField } from 'discord.js';
+import { loadJson, saveJson } from '../store.js';
+import { conf } from '../config.js';
+import { onHumanMessage, markReplied } from '../decide.js';
+import { traceDecision, traceOutcome } from '../trace.js';
+import { moderateInput, moderateOutput } from '../moderation.js';
+import { generateReply } from '../ai.js';
+import { counter } from '../metrics.js';
+import { excludedFromContext, directedOnly, modelName, trackedId } from '../privacy.js';
+import { post } from '../outbox.js';
+import { languageFor } from '../i18n.js';
+import { log, withTimeout, onceWithRetry } from '../utils.js';
+import { sttAvailable, ttsAvailable, transcribe, synthesize, DISCORD_RATE } from './engines.js';
+
+/**
+ * One session per server. Only people who ran `/voice optin` are ever recorded;
+ * their audio lives in memory until the STT engine has read it and is then dropped.
+ * Transcripts go through onHumanMessage like typed messages, so the usual gates apply,
+ * and on top of that Roxi speaks at most MAX_PER_HOUR times an hour, MIN_GAP_MS apart.
+ * Without a TTS engine she answers in the voice channel's text chat instead.
+ */
+const FILE = 'voice.json';
+const state = loadJson(FILE, { consent: {} }, { shared: true }); // consent: userId -> ts of opt-in
+
+const MAX_PER_HOUR = Number(process.env.ROXI_VOICE_MAX_PER_HOUR || 12);
+const MIN_GAP_MS = Number(process.env.ROXI_VOICE_MIN_GAP_MS || 60000);
+const SILENCE_MS = Number(process.env.ROXI_VOICE_SILENCE_MS || 800);
+const MIN_UTTERANCE_MS = 500;
+const MAX_UTTERANCE_MS = 15000;
+const MAX_QUEUED = 3;           // utterances waiting for STT; more than that are dropped
+const TRANSCRIPT_LINES = 20;
+const REPLY_TIMEOUT_MS = 26000;
+const PLAYBACK_TIMEOUT_MS = 60000;
+
+const BYTES_PER_MS = DISCORD_RATE * 4 / 1000; // 48 kHz, 2 channels, 16-bit
+
+const sessions = new Map(); // guildId -> { channel, connection, player, listening, transcript, spoke, busy }
+
+const utterances = counter('roxi_voice_utterances_total', 'Voice utterances by outcome');
+const spoken = counter('roxi_voice_replies_total', 'Voice reply attempts by outcome');
+
+export const voiceAvailable = () => sttAvailable();
+
+export function hasVoiceConsent(userId) {
+  return Boolean(state.consent[userId]);
+}
+
+/** Returns false when nothing changed. */
+export function setVoiceConsent(userId, on) {
+  if (hasVoiceConsent(userId) === on) return false;
+  if (on) state.consent[userId] = Date.now();
+  else delete state.consent[userId];
+  saveJson(FILE, state);
+  return true;
+}
+
+/** Withdraw consent and drop anything they said from live transcripts. */
+export function forgetVoiceUser(userId) {
+  const had = setVoiceConsent(userId, false);
+  for (const s of sessions.values()) s.transcript = s.transcript.filter(e => e.uid !== userId);
+  return had;
+}
+
+export function voiceSession(guildId) {
+  const s = sessions.get(guildId);
+  if (!s) return null;
+  const hourAgo = Date.now() - 3_600_000;
+  return {
+    channel: s.channel.name,
+    channelId: s.channel.id,
+    listeners: [...s.channel.members.values()].filter(m => !m.user.bot && hasVoiceConsent(m.id)).length,
+    spokeLastHour: s.spoke.filter(ts => ts > hourAgo).length,
+    maxPerHour: MAX_PER_HOUR,
+    tts: ttsAvailable(),
+  };
+}
+
+/* ========== STT queue (one engine run at a time) ========== */
+let sttChain = Promise.resolve();
+let queued = 0;
+
+function enqueueUtterance(session, userId, pcm, ts) {
+  if (queued >= MAX_QUEUED) { utterances.inc({ outcome: 'dropped' }); return; }
+  queued++;
+  sttChain = sttChain
+    .then(() => onUtterance(session, userId, pcm, ts))
+    .catch(e => log('warn', { evt: 'voice_utterance_error', err: e?.message || String(e) }))
+    .finally(() => { queued--; });
+}
+
+/* ========== Listening ========== */
+function listen(session, userId) {
+  if (session.listening.has(userId) || !hasVoiceConsent(userId) || excludedFromContext(userId)) return;
+  const member = session.channel.members.get(userId);
+  if (!member || member.user.bot) return;
+
+  session.listening.add(userId);
+  const ts = Date.now();
+  const opus = session.connection.receiver.subscribe(userId, {
+    end: { behavior: EndBehaviorType.AfterSilence, duration: SILENCE_MS },
+  });
+  const decoder = new prism.opus.Decoder({ rate: DISCORD_RATE, channels: 2, frameSize: 960 });
+  const chunks = [];
+  let size = 0;
+  let done = false;
+
+  const finish = () => {
+    if (done) return;
+    done = true;
+    session.listening.delete(userId);
+    opus.destroy();
+    if (size < MIN_UTTERANCE_MS * BYTES_PER_MS) return;
+    enqueueUtterance(session, userId, Buffer.concat(chunks), ts);
+  };
+
+  decoder.on('data', (d) => {
+    if (done) return;
+    chunks.push(d);
+    size += d.length;
+    if (size >= MAX_UTTERANCE_MS * BYTES_PER_MS) finish(); // long monologues get cut into pieces
+  });
+  decoder.on('end', finish);
+  decoder.on('error', (e) => { log('debug', { evt: 'voice_decode_error', err: e?.message }); finish(); });
+  opus.on('error', finish);
+  opus.pipe(decoder);
+}
+
+async function onUtterance(session, userId, pcm, ts) {
+  if (!sessions.has(session.channel.guildId) || !hasVoiceConsent(userId)) return; // left or opted out meanwhile
+  const text = await transcribe(pcm);
+  if (!text) { utterances.inc({ outcome: 'silent' }); return; }
+  utterances.inc({ outcome: 'heard' });
+
+  const vc = session.channel;
+  const member = vc.members.get(userId) || vc.guild.members.cache.get(userId);
+  const author = modelName(userId, member?.displayName || 'someone');
+  const { text: clean, flags } = moderateInput(text, vc, {
+    maxLen: conf('maxInputChars', vc),
+    audit: { msgId: `voice:${ts}`, authorId: userId },
+  });
+  const entry = { id: `voice:${ts}:${userId}`, uid: userId, author, content: clean, attachments: [], flags, replyTo: null, ts, isBot: false };
+  pushTranscript(session, entry);
+
+  const decision = onHumanMessage({
+    channel: vc, authorId: trackedId(userId), ts, content: clean, mentioned: false, replyToId: null,
+    directedOnly: directedOnly(userId),
+  }, { canSend: true });
+  const trace = traceDecision(vc, { ...decision, author, msgId: entry.id });
+  if (!decision.reply) return;
+
+  try {
+    traceOutcome(trace, await speakReply(session, entry));
+  } catch (err) {
+    traceOutcome(trace, 'error', { err: err?.message || String(err) });
+    throw err;
+  }
+}
+
+function pushTranscript(session, entry) {
+  session.transcript.push(entry);
+  if (session.transcript.length > TRANSCRIPT_LINES) session.transcript.splice(0, session.transcript.length - TRANSCRIPT_LINES);
+}
+
+/* ========== Speaking ========== */
+/** The hard cap on top of the normal gates; returns the reason she must stay quiet, or null. */
+function voiceCap(session, now) {
+  session.spoke = session.spoke.filter(t => now - t < 3_600_000);
+  if (session.spoke.length >= MAX_PER_HOUR) return 'voice_hourly_cap';
+  if (session.spoke.length && now - session.spoke.at(-1) < MIN_GAP_MS) return 'voice_gap';
+  return null;
+}
+
+/** Markdown, links and emoji read out loud are noise. */
+function forSpeech(text) {
+  return text
+    .replace(/https?:\/\/\S+/g, 'a link')
+    .replace(/<a?:\w+:\d+>|<[@#&!]+\d+>/g, '')
+    .replace(/[*_~`|>#]+/g, '')
+    .replace(/\p{Extended_Pictographic}|\u{FE0F}|\u{200D}/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/** Returns the outcome: sent | empty | refused | busy | voice_hourly_cap | voice_gap */
+async function speakReply(session, target) {
+  const outcome = voiceCap(session, Date.now()) || (session.busy ? 'busy' : await speakLocked(session, target));
+  spoken.inc({ outcome });
+  return outcome;
+}
+
+async function speakLocked(session, target) {
+  const vc = session.channel;
+  session.busy = true;
+  try {
+    const reply = await withTimeout(onceWithRetry(() => generateReply({
+      channel: `#${vc.name} (voice chat; your answer is read out loud)`,
+      recent: { messages: [...session.transcript], chain: [], thread: null, target, images: [] },
+      memory: '',
+      care: session.transcript.slice(-6).some(m => m.flags.includes('selfharm')),
+      persona: conf('persona', vc),
+      mode: process.env.ROXI_MODE || 'dev',
+      language: languageFor(vc, session.transcript.filter(m => !m.isBot).map(m => m.content)),
+      quality: conf('qualityGuard', vc) ? { channelId: vc.id } : null,
+    })), REPLY_TIMEOUT_MS);
+    if (!reply?.trim()) return 'empty';
+    const checked = moderateOutput(reply.trim(), vc);
+    if (checked.action === 'refuse') return 'refused';
+    const speech = forSpeech(checked.text);
+    if (!speech) return 'empty';
+
+    const tts = ttsAvailable();
+    let sentId = `voice:${Date.now()}`;
+    if (tts) session.player.play(createAudioResource(Readable.from([await synthesize(speech)]), { inputType: StreamType.Raw }));
+    else {
+      const out = await post(vc, { content: checked.text, allowedMentions: { parse: [] } }, { reason: 'voice' });
+      if (out.state !== 'delivered') return 'send_failed';
+      sentId = out.messages[0].id;
+    }
+
+    session.spoke.push(Date.now());
+    markReplied(vc.id, sentId);
+    pushTranscript(session, { id: sentId, uid: vc.client.user.id, author: 'Roxi', content: speech, attachments: [], flags: [], replyTo: null, ts: Date.now(), isBot: true });
+    log('info', { evt: 'voice_send', channel: vc.name, bytes: speech.length, tts });
+    if (tts) await entersState(session.player, AudioPlayerStatus.Idle, PLAYBACK_TIMEOUT_MS).catch(() => {});
+    return 'sent';
+  } finally {
+    session.busy = false;
+  }
+}
+
+/* ========== Join / leave ========== */
+/**
+ * Join a voice channel (moving if already connected elsewhere in the server).
+ * Throws with a message fit for the user when voice is not set up or not allowed.
+ */
+export async function joinVoice(channel) {
+  if (!sttAvailable()) throw new Error('voice is not set up on this bot (no ROXI_STT_CMD)');
+  const perms = channel.permissionsFor(channel.guild.members.me);
+  if (!perms?.has(PermissionsBitField.Flags.Connect)) throw new Error(`I can't connect to ${channel.name}`);
+  if (ttsAvailable() && !perms.has(PermissionsBitField.Flags.Speak)) throw new Error(`I can't speak in ${channel.name}`);
+
+  leaveVoice(channel.guildId, 'moved');
+  const connection = joinVoiceChannel({
+    channelId: channel.id,
+    guildId: channel.guildId,
+    adapterCreator: channel.guild.voiceAdapterCreator,
+    selfDeaf: false,
+    selfMute: !ttsAvailable(),
+  });
+  try {
+    await entersState(connection, VoiceConnectionStatus.Ready, 20000);
+  } catch {
+    connection.destroy();
+    throw new Error('could not connect to voice in time');
+  }
+
+  const player = createAudioPlayer({ behaviors: { noSubscriber: NoSubscriberBehavior.Pause } });
+  connection.subscribe(player);
+  player.on('error', e => log('warn', { evt: 'voice_player_error', err: e?.message }));
+
+  const session = { channel, connection, player, listening: new Set(), transcript: [], spoke: [], busy: false };
+  sessions.set(channel.guildId, session);
+  connection.receiver.speaking.on('start', (userId) => listen(session, userId));
+
+  connection.on(VoiceConnectionStatus.Disconnected, async () => {
+    try {
+      // moved or briefly dropped: Discord reconnects on its own within a few seconds
+      await Promise.race([
+        entersState(connection, VoiceConnectionStatus.Signalling, 5000),
+        entersState(connection, VoiceConnectionStatus.Connecting, 5000),
+      ]);
+    } catch {
+      leaveVoice(channel.guildId, 'disconnected');
+    }
+  });
+
+  log('info', { evt: 'voice_join', guild: channel.guildId, channel: channel.name, tts: ttsAvailable() });
+  return session;
+}
+
+export function leaveVoice(guildId, why = 'asked') {
+  const s = sessions.get(guildId);
+  if (!s) return false;
+  sessions.delete(guildId);
+  s.player.stop(true);
+  if (s.connection.state.status !== VoiceConnectionStatus.Destroyed) s.connection.destroy();
+  log('info', { evt: 'voice_leave', guild: guildId, channel: s.channel.name, why });
+  return true;
+}
+
+/** VoiceStateUpdate hook: follow Roxi when she is moved, leave when the last human goes. */
+export function onVoiceStateUpdate(oldState, newState) {
+  const guildId = oldState.guild.id;
+  const s = sessions.get(guildId);
+  if (!s) return;
+  if (newState.id === newState.client.user.id) {
+    if (!newState.channelId) leaveVoice(guildId, 'kicked');
+    else if (newState.channelId !== s.channel.id) s.channel = newState.channel;
+    return;
+  }
+  if (oldState.channelId !== s.channel.id) return;
+  if (!s.channel.members.filter(m => !m.user.bot).size) leaveVoice(guildId, 'empty');
+}
@@ -0,0 +1,41 @@
+// Moderation rules: what gets masked, and the everyday text that must not be.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+process.env.ROXI_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'roxi-test-'));
+process.env.ROXI_STATE = 'memory';
+process.env.ROXI_LOG_LEVEL = 'error';
+const { moderateInput, moderateOutput } = await import('../src/moderation.js');
+process.on('exit', () => fs.rmSync(process.env.ROXI_DATA_DIR, { recursive: true, force: true }));
+
+const channel = { id: 'mod-test', name: 'general', guildId: 'g', isThread: () => false };
+const input = (text) => moderateInput(text, channel).text;
+
+test('ip addresses are redacted', () => {
+  assert.equal(input('my ip is 192.168.1.20.'), 'my ip is [redacted].');
+  assert.equal(input('ping 8.8.8.8 and 10.0.0.255'), 'ping [redacted] and [redacted]');
+});
+
+test('version strings and other dotted numbers are not ip addresses', () => {
+  for (const text of ['running v1.2.3.4 now', 'version 1.2.3.4 broke it', 'ver. 10.0.0.1 is out',
+    'build 1.2.3.4.5', 'not an ip: 256.1.1.1', 'sha 1.2.3.4a']) {
+    assert.equal(input(text), text, text);
+  }
+});
+
+test('slurs are masked in input and refused in output', () => {
+  assert.equal(input('shut up you ch1nk'), 'shut up you ***');
+  assert.equal(input('those chinks again'), 'those *** again');
+  assert.equal(moderateOutput('what a retard', channel).action, 'refuse');
+});
+
+test('"chink" meaning a gap is left alone', () => {
+  for (const text of ['that was the chink in the armor', 'found a chink in their armour', 'a chink of light under the door',
+    'chinks in the armor everywhere']) {
+    assert.equal(input(text), text, text);
+    assert.equal(moderateOutput(text, channel).action, 'pass', text);
+  }
+});
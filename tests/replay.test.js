@@ -0,0 +1,31 @@
+// The sample chat log through the real decision engine (src/replay.js, stub AI).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+
+function replay(...args) {
+  const out = execFileSync(process.execPath, ['src/replay.js', 'examples/replay-sample.jsonl', '--json', ...args], {
+    cwd: root, encoding: 'utf8', env: { ...process.env, ROXI_LOG_LEVEL: 'error' },
+  });
+  return out.trim().split('\n').filter(l => l.startsWith('{')).map(l => JSON.parse(l));
+}
+
+test('sample replay replies to the keyword and one organic message', () => {
+  const results = replay();
+  const replies = results.filter(r => r.reply);
+  assert.deepEqual(replies.map(r => [r.content, r.trigger]), [
+    ['roxi back me up here', 'keyword'],
+    ['pineapple pizza?', 'organic'],
+  ]);
+  assert.ok(replies.every(r => r.text), 'replies carry generated text');
+});
+
+test('the user gap counts from the previous human message', () => {
+  const results = replay('--set', 'userGapMs=60000');
+  const keyword = results.find(r => r.content === 'roxi back me up here');
+  assert.equal(keyword.gate, 'user_gap');
+  assert.ok(keyword.userGapLeftMs > 0 && keyword.userGapLeftMs <= 30_000, `left ${keyword.userGapLeftMs}`);
+});
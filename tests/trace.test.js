@@ -0,0 +1,34 @@
+// Decision records as /roxi why and /decisions show them.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+process.env.ROXI_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'roxi-test-'));
+process.env.ROXI_STATE = 'memory';
+process.env.ROXI_LOG_LEVEL = 'error';
+const { onHumanMessage } = await import('../src/decide.js');
+const { traceDecision, recentDecisions } = await import('../src/trace.js');
+process.on('exit', () => fs.rmSync(process.env.ROXI_DATA_DIR, { recursive: true, force: true }));
+
+const channel = { id: 'trace-test', name: 'general', guildId: 'g', isThread: () => false };
+const say = (authorId, ts, content) => traceDecision(channel, onHumanMessage({ channel, authorId, ts, content }, { now: ts, roll: () => 0 }));
+
+test('traces report the gate that actually blocked, with the gap to the previous message', () => {
+  const t0 = Date.parse('2025-05-02T20:00:00Z');
+  const first = say('1', t0, 'anyone around?');
+  assert.equal(first.gate, 'too_few_speakers');
+  assert.equal(first.sinceHumanMs, null);
+
+  const quick = say('2', t0 + 5_000, 'roxi you there');
+  assert.equal(quick.gate, 'user_gap');
+  assert.equal(quick.sinceHumanMs, 5_000);
+  assert.equal(quick.userGapLeftMs, 15_000);
+
+  const later = say('3', t0 + 35_000, 'roxi settle this');
+  assert.equal(later.trigger, 'keyword');
+  assert.equal(later.gate, null);
+  assert.equal(later.userGapLeftMs, 0);
+  assert.deepEqual(recentDecisions(channel.id, 3).map(d => d.gate), [null, 'user_gap', 'too_few_speakers']);
+});